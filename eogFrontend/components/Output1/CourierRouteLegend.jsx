@@ -0,0 +1,34 @@
+import React from 'react';
+import { ROUTE_MINUTES_PER_SECOND } from './courierRoutes';
+
+function CourierRouteLegend({ plan, routes, visible, selectedId, onToggle, onSelect }) {
+    return (
+        <div className="route-legend">
+            <label className="discrepancy-toggle">
+                <input type="checkbox" checked={visible} onChange={(e) => onToggle(e.target.checked)} />
+                🧙 Courier routes
+            </label>
+            {visible && !plan && <span className="route-legend-note">Run the route optimizer to draw its routes here.</span>}
+            {visible && plan && routes.length === 0 && <span className="route-legend-note">The latest plan has no pickups.</span>}
+            {visible && routes.map(route => (
+                <button
+                    key={route.courierId}
+                    className={`route-chip ${route.courierId === selectedId ? 'route-chip-selected' : ''}`}
+                    style={{ borderColor: route.color }}
+                    onClick={() => onSelect(route.courierId === selectedId ? null : route.courierId)}
+                >
+                    <i style={{ background: route.color }} />
+                    {route.courierName} · {route.stops.length} stops · {route.totalVolume.toFixed(0)} L
+                    {!route.feasible && ' ⚠️'}
+                </button>
+            ))}
+            {visible && plan && routes.length > 0 && (
+                <span className="route-legend-note">
+                    Plan for {plan.dispatchedAt ? plan.dispatchedAt.replace('T', ' ') : 'the selected time'} · animation runs at {ROUTE_MINUTES_PER_SECOND} min/s
+                </span>
+            )}
+        </div>
+    );
+}
+
+export default CourierRouteLegend;
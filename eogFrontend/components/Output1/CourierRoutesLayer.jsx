@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from 'react';
+import { Marker, Polyline, Tooltip } from 'react-leaflet';
+import L from 'leaflet';
+import { ROUTE_MINUTES_PER_SECOND, positionAt } from './courierRoutes';
+
+const ANIMATION_TICK_MS = 100;
+// Couriers wait at their final stop this long before the animation loops
+const LOOP_PAUSE_MINUTES = 10;
+const BADGE_SPACING = 20;
+
+const stopBadgeIcon = (stop, color, highlighted, offset) => {
+    const label = stop.type === 'DELIVERY' ? `${stop.number} ⬇${stop.volume.toFixed(0)}L` : `${stop.number} · ${stop.volume.toFixed(0)}L`;
+    return L.divIcon({
+        html: `
+      <div style="display: inline-block; white-space: nowrap; background: ${color}; color: white; font: 700 ${highlighted ? 13 : 11}px 'Segoe UI', sans-serif; padding: 1px 6px; border-radius: 10px; border: 2px solid white; box-shadow: 0 2px 4px rgba(0,0,0,0.35);">
+        ${label}
+      </div>
+    `,
+        className: '',
+        iconSize: null,
+        // Stack badges that land on the same node instead of drawing them on top of each other
+        iconAnchor: [-14, 30 + offset * BADGE_SPACING]
+    });
+};
+
+// Cached per color: the courier markers re-render every animation tick and shouldn't rebuild their icons
+const courierIcons = {};
+const courierIcon = (color) => {
+    if (!courierIcons[color]) {
+        courierIcons[color] = L.divIcon({
+            html: `
+        <div style="width: 28px; height: 28px; border-radius: 50%; background: ${color}; border: 2px solid white; box-shadow: 0 2px 6px rgba(0,0,0,0.45); display: flex; align-items: center; justify-content: center; font-size: 16px;">🧙</div>
+      `,
+            className: '',
+            iconSize: [28, 28],
+            iconAnchor: [14, 14]
+        });
+    }
+    return courierIcons[color];
+};
+
+function AnimatedCouriers({ routes, selectedId, onSelect }) {
+    const [minute, setMinute] = useState(0);
+    const loopMinutes = Math.max(0, ...routes.map(r => r.duration)) + LOOP_PAUSE_MINUTES;
+
+    useEffect(() => {
+        const started = Date.now();
+        const interval = setInterval(() => {
+            const elapsed = (Date.now() - started) / 1000;
+            setMinute((elapsed * ROUTE_MINUTES_PER_SECOND) % loopMinutes);
+        }, ANIMATION_TICK_MS);
+        return () => clearInterval(interval);
+    }, [loopMinutes]);
+
+    return routes.map(route => {
+        const position = positionAt(route, minute);
+        if (!position) return null;
+        const dimmed = selectedId && selectedId !== route.courierId;
+        return (
+            <Marker
+                key={route.courierId}
+                position={position}
+                icon={courierIcon(route.color)}
+                opacity={dimmed ? 0.35 : 1}
+                zIndexOffset={2000}
+                eventHandlers={{ click: () => onSelect(route.courierId) }}
+            >
+                <Tooltip direction="top" offset={[0, -12]}>
+                    {route.courierName} · {Math.min(minute, route.duration).toFixed(0)} / {route.duration.toFixed(0)} min
+                </Tooltip>
+            </Marker>
+        );
+    });
+}
+
+// Optimizer routes drawn over the network; must be rendered inside <MapContainer>. Memoized so the map's
+// replay ticks don't rebuild every badge.
+function CourierRoutesLayer({ routes, selectedId, onSelect }) {
+    const badgeCounts = {};
+    const badgeOffset = (nodeId) => {
+        badgeCounts[nodeId] = (badgeCounts[nodeId] || 0) + 1;
+        return badgeCounts[nodeId] - 1;
+    };
+    // Draw the highlighted route last so it sits on top
+    const ordered = [...routes].sort((a, b) => (a.courierId === selectedId) - (b.courierId === selectedId));
+    const visibleStops = selectedId ? routes.filter(r => r.courierId === selectedId) : routes;
+
+    return (
+        <>
+            {ordered.map(route => {
+                const highlighted = route.courierId === selectedId;
+                const dimmed = selectedId && !highlighted;
+                return (
+                    <Polyline
+                        key={route.courierId}
+                        positions={route.points}
+                        pathOptions={{
+                            color: route.color,
+                            weight: highlighted ? 8 : 5,
+                            opacity: dimmed ? 0.25 : 0.85,
+                            dashArray: route.feasible ? null : '10, 8',
+                            lineJoin: 'round'
+                        }}
+                        eventHandlers={{ click: () => onSelect(highlighted ? null : route.courierId) }}
+                    >
+                        <Tooltip sticky>
+                            {route.courierName}: {route.stops.length} stops, {route.totalVolume.toFixed(1)} L, {route.duration.toFixed(0)} min
+                            {route.feasible ? '' : ' (misses an overflow deadline)'}
+                        </Tooltip>
+                    </Polyline>
+                );
+            })}
+            {visibleStops.flatMap(route => route.stops
+                .filter(stop => stop.position)
+                .map(stop => (
+                    <Marker
+                        key={`${route.courierId}-${stop.number}`}
+                        position={stop.position}
+                        icon={stopBadgeIcon(stop, route.color, route.courierId === selectedId, badgeOffset(stop.nodeId))}
+                        zIndexOffset={route.courierId === selectedId ? 1600 : 1500}
+                        eventHandlers={{ click: () => onSelect(route.courierId) }}
+                    >
+                        <Tooltip direction="right">
+                            {route.courierName} stop {stop.number}: {stop.name}, {stop.type === 'DELIVERY' ? 'unload' : 'pick up'} {stop.volume.toFixed(1)} L at +{stop.arrival.toFixed(0)} min
+                        </Tooltip>
+                    </Marker>
+                )))}
+            <AnimatedCouriers routes={routes} selectedId={selectedId} onSelect={onSelect} />
+        </>
+    );
+}
+
+export default React.memo(CourierRoutesLayer);
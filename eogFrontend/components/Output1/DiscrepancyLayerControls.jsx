@@ -0,0 +1,43 @@
+import React from 'react';
+import { SEVERITY_LEVELS } from './discrepancyLayer';
+
+function DiscrepancyLayerControls({ enabled, startDate, endDate, loading, error, onToggle, onRangeChange }) {
+    return (
+        <div className="discrepancy-controls">
+            <label className="discrepancy-toggle">
+                <input type="checkbox" checked={enabled} onChange={(e) => onToggle(e.target.checked)} />
+                🕵️ Discrepancy layer
+            </label>
+            {enabled && (
+                <>
+                    <input
+                        type="date"
+                        value={startDate}
+                        max={endDate}
+                        onChange={(e) => onRangeChange(e.target.value, endDate)}
+                    />
+                    <span>→</span>
+                    <input
+                        type="date"
+                        value={endDate}
+                        min={startDate}
+                        onChange={(e) => onRangeChange(startDate, e.target.value)}
+                    />
+                    <span>UTC</span>
+                    <div className="discrepancy-legend">
+                        {SEVERITY_LEVELS.map(level => (
+                            <span key={level.key}>
+                                <i style={{ background: level.color }} />{level.label}
+                            </span>
+                        ))}
+                        <span className="discrepancy-legend-note">Size = unaccounted liters, relative to the worst cauldron</span>
+                    </div>
+                    {loading && <span>⏳ Running comparison...</span>}
+                    {error && <span className="discrepancy-error">⚠️ {error}</span>}
+                </>
+            )}
+        </div>
+    );
+}
+
+export default DiscrepancyLayerControls;
@@ -1,15 +1,36 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import './PotionNetworkMap.css';
+import ReplayScrubber from './ReplayScrubber';
+import DiscrepancyLayerControls from './DiscrepancyLayerControls';
+import { EMPTY_DISCREPANCY, useDiscrepancyLayer } from './discrepancyLayer';
+import { ANALYSIS_TIME_ZONE } from '../Output3/analysisParams';
+import CourierRoutesLayer from './CourierRoutesLayer';
+import CourierRouteLegend from './CourierRouteLegend';
+import { buildPlanGeometry } from './courierRoutes';
+import { useRoutePlan } from '../shared/routePlanContext';
+import { DATASET_RANGE, datesFromRange, formatInstant, rangeFromDates, useTime } from '../shared/timeContext';
+import { useDataClient, useStaleData } from '../shared/dataContext';
+import { mergeStale } from '../shared/apiClient';
+import StaleBadge from '../shared/StaleBadge';
+import { useLiveUpdates } from '../shared/liveContext';
+import AlertCenter from '../shared/AlertCenter';
+import { useOverflowAlerts } from '../shared/useOverflowAlerts';
+import { isSnoozed } from '../shared/overflowAlerts';
+import { formatMinutes } from '../outputBonus/fillRateModel';
 
-// Custom cauldron icon
-const createCauldronIcon = (color) => {
+const ALERT_COLORS = { critical: '#dc2626', warning: '#f97316', notice: '#eab308' };
+
+// Custom cauldron icon; `alertColor` adds a pulsing overflow-warning ring and `scale` grows the marker
+const createCauldronIcon = (color, alertColor, scale = 1) => {
+    const size = Math.round(40 * scale);
     return new L.DivIcon({
         html: `
-      <div style="position: relative; width: 40px; height: 40px;">
-        <svg width="40" height="40" viewBox="0 0 40 40" xmlns="http://www.w3.org/2000/svg">
+      <div style="position: relative; width: ${size}px; height: ${size}px;">
+        ${alertColor ? `<div class="cauldron-alert-ring" style="border-color: ${alertColor};"></div>` : ''}
+        <svg width="${size}" height="${size}" viewBox="0 0 40 40" xmlns="http://www.w3.org/2000/svg">
           <ellipse cx="20" cy="32" rx="12" ry="4" fill="#333" opacity="0.3"/>
           <path d="M 12 18 Q 10 25, 12 30 L 28 30 Q 30 25, 28 18 Z" fill="${color}" stroke="#222" stroke-width="1.5"/>
           <ellipse cx="20" cy="18" rx="8" ry="2.5" fill="${color}" stroke="#222" stroke-width="1.5"/>
@@ -22,11 +43,17 @@ const createCauldronIcon = (color) => {
       </div>
     `,
         className: '',
-        iconSize: [40, 40],
-        iconAnchor: [20, 35]
+        iconSize: [size, size],
+        iconAnchor: [size / 2, size * 0.875]
     });
 };
 
+const DISCREPANCY_STATUS_COLORS = {
+    TICKET_MISSING: '#dc2626',
+    MISMATCH: '#ef4444',
+    DRAIN_NOT_DETECTED: '#f97316'
+};
+
 const marketIcon = new L.DivIcon({
     html: `
     <div style="position: relative; width: 50px; height: 50px;">
@@ -174,86 +201,220 @@ function TravelTimeLabel({ positions, time, color }) {
     return null;
 }
 
+// Level data is pulled in 6-hour chunks so scrubbing and fast playback don't hit /Data every tick
+const CHUNK_SECONDS = 6 * 3600;
+const TICK_MS = 250;
+// Responses the map is drawn from, for the stale-data badge
+const MAP_SOURCES = ['/Information/', '/Data'];
+
+const toUnixSeconds = (value) => {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'number') return value > 1e12 ? Math.floor(value / 1000) : value;
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+};
+
+const chunkStartFor = (time, range) => range.start + Math.floor((time - range.start) / CHUNK_SECONDS) * CHUNK_SECONDS;
+
+// Latest reading at or before `time` within a sorted chunk
+const findReading = (rows, time) => {
+    let lo = 0;
+    let hi = rows.length - 1;
+    let found = null;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (rows[mid].time <= time) {
+            found = rows[mid];
+            lo = mid + 1;
+        } else {
+            hi = mid - 1;
+        }
+    }
+    return found;
+};
+
 function PotionNetworkMap() {
     const [cauldrons, setCauldrons] = useState([]);
-    const [currentLevels, setCurrentLevels] = useState({});
     const [market, setMarket] = useState(null);
     const [edges, setEdges] = useState([]);
-    const [timestamp, setTimestamp] = useState('');
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [loadingStatus, setLoadingStatus] = useState('Starting...');
-    const startDateRef = useRef(1761782400);
-    const endDateRef = useRef(1761782400);
-
-    const fetchData = async () => {
-        try {
-            setError(null);
-            setLoadingStatus('Fetching cauldrons...');
-            const cauldronResp = await fetch('/api/Information/cauldrons');
-            if (!cauldronResp.ok) throw new Error('Failed to fetch cauldrons');
-            const cauldronData = await cauldronResp.json();
-            setCauldrons(cauldronData);
-            setLoadingStatus('Fetching levels...');
-            console.log(`Fetching data with start_date=${startDateRef.current}, end_date=${endDateRef.current}`);
-            const levelsResp = await fetch(`/api/Data?start_date=${startDateRef.current}&end_date=${endDateRef.current}`);
-            if (!levelsResp.ok) throw new Error('Failed to fetch levels');
-            const levelsData = await levelsResp.json();
-            console.log('API Response:', levelsData);
+    // Sources that failed with nothing cached to fall back on: { market: message, ... }
+    const [sourceErrors, setSourceErrors] = useState({});
+    const staleSources = useStaleData(MAP_SOURCES);
+    // Replay bounds; the dataset fallback is used if /Data/metadata is unavailable
+    const [range, setRange] = useState(DATASET_RANGE);
+    // The replay position is the app-wide instant, so it starts paused wherever another view left it
+    const clock = useTime();
+    const replayTime = clock.instant;
+    const setReplayTime = clock.setInstant;
+    const [isPlaying, setIsPlaying] = useState(false);
+    // Following live: the replay sits on the newest reading and moves as new ones are pushed
+    const [following, setFollowing] = useState(false);
+    const [speed, setSpeed] = useState(1);
+    const [chunks, setChunks] = useState({});
+    const pendingChunksRef = useRef(new Set());
+    const [showDiscrepancies, setShowDiscrepancies] = useState(false);
+    // /compare works in UTC days, so the layer's dates are the shared range's UTC days
+    const discrepancyDates = datesFromRange(clock.range, ANALYSIS_TIME_ZONE);
+    const api = useDataClient();
+    const discrepancyLayer = useDiscrepancyLayer(showDiscrepancies, discrepancyDates.startDate, discrepancyDates.endDate);
+    const [showRoutes, setShowRoutes] = useState(true);
+    const [selectedRouteId, setSelectedRouteId] = useState(null);
+    const routePlan = useRoutePlan();
+    const routeGeometry = useMemo(
+        () => buildPlanGeometry(routePlan, { cauldrons, market, edges }),
+        [routePlan, cauldrons, market, edges]
+    );
 
-            if (!levelsData || levelsData.length === 0) {
-                console.warn('No data returned from API for this time range');
-                // Still increment for next call
-                startDateRef.current += 60;
-                endDateRef.current += 60;
-                return;
+    // Every source loads on its own: a missing market or network leaves the rest of the map up, and only
+    // having no cauldrons at all shows the error screen
+    const fetchData = useCallback(async () => {
+        setError(null);
+        setLoadingStatus('Fetching cauldrons, market and network...');
+        const [cauldronResult, metaResult, marketResult, networkResult] = await Promise.allSettled([
+            api.get('/Information/cauldrons'),
+            api.get('/Data/metadata'),
+            api.get('/Information/market'),
+            api.get('/Information/network')
+        ]);
+        const failures = {};
+        if (cauldronResult.status === 'fulfilled') {
+            setCauldrons(cauldronResult.value);
+        } else {
+            console.error('Error fetching cauldrons:', cauldronResult.reason);
+            failures.cauldrons = cauldronResult.reason.message;
+            setError(cauldronResult.reason.message);
+        }
+        if (metaResult.status === 'fulfilled') {
+            const start = toUnixSeconds(metaResult.value.start_date);
+            const end = toUnixSeconds(metaResult.value.end_date);
+            if (start !== null && end !== null && end > start) {
+                setRange({ start, end });
+                setReplayTime(prev => (prev < start || prev > end ? start : prev));
             }
+        } else {
+            console.warn('Using default replay range:', metaResult.reason);
+        }
+        if (marketResult.status === 'fulfilled') setMarket(marketResult.value);
+        else failures.market = marketResult.reason.message;
+        if (networkResult.status === 'fulfilled') setEdges(networkResult.value.edges || []);
+        else failures.network = networkResult.reason.message;
+        setSourceErrors(failures);
+        setLoading(false);
+        setLoadingStatus('Complete!');
+    }, [api, setReplayTime]);
 
-            const latest = levelsData[0];
-            console.log('Latest data:', latest);
-            // Convert Unix timestamp to readable datetime format (UTC)
-            const formattedTimestamp = new Date(startDateRef.current * 1000).toLocaleString('en-US', {
-                year: 'numeric',
-                month: 'short',
-                day: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit',
-                second: '2-digit',
-                hour12: true,
-                timeZone: 'UTC'
-            }) + ' UTC';
-            setTimestamp(formattedTimestamp);
-            setCurrentLevels(latest.cauldron_levels);
-            console.log('Updated levels:', latest.cauldron_levels);
-            // Increment start_date and end_date by 60 for next call
-            startDateRef.current += 60;
-            endDateRef.current += 60;
-            setLoadingStatus('Fetching market...');
-            const marketResp = await fetch('/api/Information/market');
-            if (!marketResp.ok) throw new Error('Failed to fetch market');
-            const marketData = await marketResp.json();
-            setMarket(marketData);
-            setLoadingStatus('Fetching network...');
-            const networkResp = await fetch('/api/Information/network');
-            if (!networkResp.ok) throw new Error('Failed to fetch network');
-            const networkData = await networkResp.json();
-            setEdges(networkData.edges);
-            setLoading(false);
-            setLoadingStatus('Complete!');
+    const loadChunk = useCallback(async (chunkStart) => {
+        if (pendingChunksRef.current.has(chunkStart)) return;
+        pendingChunksRef.current.add(chunkStart);
+        const chunkEnd = Math.min(range.end, chunkStart + CHUNK_SECONDS - 60);
+        try {
+            const levelsData = await api.getLevels(chunkStart, chunkEnd);
+            const rows = (levelsData || [])
+                .map(entry => ({ time: toUnixSeconds(entry.timestamp), levels: entry.cauldron_levels }))
+                .filter(row => row.time !== null)
+                .sort((a, b) => a.time - b.time);
+            if (rows.length === 0) console.warn('No data returned from API for this time range');
+            setChunks(prev => ({ ...prev, [chunkStart]: rows }));
         } catch (error) {
-            console.error('Error fetching data:', error);
-            setError(error.message);
-            setLoading(false);
+            console.error('Error fetching levels:', error);
+            // Allow a later scrub to retry this chunk
+            pendingChunksRef.current.delete(chunkStart);
         }
-    };
+    }, [api, range.end]);
 
-    useEffect(() => { fetchData(); }, []);
+    useEffect(() => { fetchData(); }, [fetchData]);
+
+    // Pushed readings stretch the replay range, join the chunk they fall in (if it is loaded) and move
+    // the instant; unloaded chunks pick them up from /Data when they are fetched
+    useLiveUpdates('levels', (entries) => {
+        const rows = entries
+            .map(entry => ({ time: toUnixSeconds(entry.timestamp), levels: entry.cauldron_levels }))
+            .filter(row => row.time !== null);
+        if (rows.length === 0) return;
+        const newest = rows[rows.length - 1].time;
+        setRange(prev => (newest > prev.end ? { ...prev, end: newest } : prev));
+        setChunks(prev => {
+            const next = { ...prev };
+            rows.forEach(row => {
+                const start = chunkStartFor(row.time, range);
+                const chunk = next[start];
+                if (chunk && (chunk.length === 0 || chunk[chunk.length - 1].time < row.time)) next[start] = [...chunk, row];
+            });
+            return next;
+        });
+        setReplayTime(newest);
+    }, following);
+
+    const currentChunkStart = chunkStartFor(replayTime, range);
     useEffect(() => {
-        const interval = setInterval(() => { fetchData(); }, 60000);
+        loadChunk(currentChunkStart);
+        // Prefetch the next chunk so playback doesn't stall at the boundary
+        if (isPlaying && currentChunkStart + CHUNK_SECONDS <= range.end) {
+            loadChunk(currentChunkStart + CHUNK_SECONDS);
+        }
+    }, [currentChunkStart, isPlaying, range.end, loadChunk]);
+
+    useEffect(() => {
+        if (!isPlaying) return;
+        const interval = setInterval(() => {
+            setReplayTime(prev => Math.min(range.end, prev + (speed * TICK_MS) / 1000));
+        }, TICK_MS);
         return () => clearInterval(interval);
-    }, []);
+    }, [isPlaying, speed, range, setReplayTime]);
+
+    useEffect(() => {
+        if (replayTime >= range.end) setIsPlaying(false);
+    }, [replayTime, range]);
+
+    const clampTime = (time) => Math.min(range.end, Math.max(range.start, time));
+    const seekTo = (time) => {
+        setFollowing(false);
+        setReplayTime(clampTime(time));
+    };
+    const togglePlay = () => {
+        // Playing from the end of the dataset restarts the replay
+        if (!isPlaying && replayTime >= range.end) setReplayTime(range.start);
+        setFollowing(false);
+        setIsPlaying(!isPlaying);
+    };
+    const toggleLive = () => {
+        if (!following) {
+            setIsPlaying(false);
+            setReplayTime(range.end);
+        }
+        setFollowing(!following);
+    };
+    const stepMinutes = (minutes) => {
+        setIsPlaying(false);
+        setFollowing(false);
+        setReplayTime(prev => clampTime(Math.floor(prev / 60) * 60 + minutes * 60));
+    };
 
-    if (error) {
+    // While a chunk is loading, hold the last reading of the previous chunk instead of blanking the markers
+    const previousChunk = chunks[currentChunkStart - CHUNK_SECONDS];
+    const reading = chunks[currentChunkStart]
+        ? findReading(chunks[currentChunkStart], replayTime)
+        : (previousChunk ? previousChunk[previousChunk.length - 1] : null);
+    const currentLevels = reading ? reading.levels : {};
+
+    // Readings from the previous and current chunk up to the replay position feed the overflow projection
+    const currentChunk = chunks[currentChunkStart];
+    const alertHistory = useMemo(() => {
+        if (!reading) return null;
+        return [...(previousChunk || []), ...(currentChunk || [])]
+            .filter(row => row.time <= reading.time)
+            .map(row => ({ timestamp: row.time * 1000, cauldron_levels: row.levels }));
+    }, [reading, previousChunk, currentChunk]);
+    const overflowAlerts = useOverflowAlerts(alertHistory, cauldrons);
+    const timestamp = formatInstant(Math.floor(replayTime / 60) * 60, clock.timeZone);
+
+    const failedSources = Object.entries(sourceErrors).map(([source, message]) => `${source}: ${message}`);
+    const stale = mergeStale(staleSources, failedSources.length ? { since: null, errors: failedSources } : null);
+
+    if (error && cauldrons.length === 0) {
         return (
             <div className="potion-network-error">
                 <h2>⚠️ Error Loading Data</h2>
@@ -296,8 +457,54 @@ function PotionNetworkMap() {
         <div className="potion-network-container">
             <div className="potion-network-header">
                 <h1>🧪 Potion Network</h1>
-                <p>📅 {timestamp} • 🔄 Auto-refresh: Every 60s</p>
+                <p>
+                    📅 {timestamp} • {following ? '● Following live readings' : isPlaying ? `▶ Replaying at ${speed}x` : '⏸ Paused'}{' '}
+                    <StaleBadge stale={stale} timeZone={clock.timeZone} onRetry={fetchData} />
+                </p>
+                <ReplayScrubber
+                    range={range}
+                    time={replayTime}
+                    timeZone={clock.timeZone}
+                    isPlaying={isPlaying}
+                    following={following}
+                    speed={speed}
+                    loadingChunk={!chunks[currentChunkStart]}
+                    onSeek={seekTo}
+                    onTogglePlay={togglePlay}
+                    onToggleLive={toggleLive}
+                    onSpeedChange={setSpeed}
+                    onStep={stepMinutes}
+                />
+                <DiscrepancyLayerControls
+                    enabled={showDiscrepancies}
+                    startDate={discrepancyDates.startDate}
+                    endDate={discrepancyDates.endDate}
+                    loading={discrepancyLayer.loading}
+                    error={discrepancyLayer.error}
+                    onToggle={setShowDiscrepancies}
+                    onRangeChange={(start, end) => {
+                        const next = rangeFromDates(start, end, ANALYSIS_TIME_ZONE);
+                        clock.setRange(next.start, next.end);
+                    }}
+                />
+                <CourierRouteLegend
+                    plan={routePlan}
+                    routes={routeGeometry}
+                    visible={showRoutes}
+                    selectedId={selectedRouteId}
+                    onToggle={setShowRoutes}
+                    onSelect={setSelectedRouteId}
+                />
             </div>
+            <AlertCenter
+                alerts={overflowAlerts.alerts}
+                history={overflowAlerts.history}
+                settings={overflowAlerts.settings}
+                onUpdateSettings={overflowAlerts.updateSettings}
+                onAcknowledge={overflowAlerts.acknowledge}
+                onSnooze={overflowAlerts.snooze}
+                onClearHistory={overflowAlerts.clearHistory}
+            />
             <MapContainer center={[avgLat, avgLon]} zoom={17} style={{ flex: 1, width: '100%' }}>
                 <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" attribution='&copy; OpenStreetMap contributors' />
                 {edges.map((edge, idx) => {
@@ -317,8 +524,17 @@ function PotionNetworkMap() {
                     const volume = currentLevels[cauldron.id] || 0;
                     const fullness = volume / cauldron.max_volume;
                     const markerColor = fullness < 0.5 ? '#2ecc71' : (fullness < 0.9 ? '#f39c12' : '#e74c3c');
+                    const alert = overflowAlerts.alerts[cauldron.id];
+                    const alertColor = alert && !isSnoozed(alert) ? ALERT_COLORS[alert.severity] : null;
+                    // With the discrepancy layer on, severity replaces fullness as the marker color
+                    const discrepancy = showDiscrepancies && discrepancyLayer.summary
+                        ? discrepancyLayer.summary[cauldron.id] || EMPTY_DISCREPANCY
+                        : null;
+                    const icon = discrepancy
+                        ? createCauldronIcon(discrepancy.severity.color, alertColor, 1 + discrepancy.share)
+                        : createCauldronIcon(markerColor, alertColor);
                     return (
-                        <Marker key={cauldron.id} position={[cauldron.latitude, cauldron.longitude]} icon={createCauldronIcon(markerColor)}>
+                        <Marker key={cauldron.id} position={[cauldron.latitude, cauldron.longitude]} icon={icon}>
                             <Popup>
                                 <div style={{ fontFamily: 'Segoe UI, sans-serif', minWidth: '180px' }}>
                                     <strong style={{ fontSize: '15px', color: '#333' }}>{cauldron.name}</strong>
@@ -330,12 +546,38 @@ function PotionNetworkMap() {
                                         <div style={{ marginTop: '6px', color: markerColor, fontWeight: 'bold', fontSize: '14px' }}>
                                             {(fullness * 100).toFixed(0)}% Full
                                         </div>
+                                        {alert && (
+                                            <div style={{ marginTop: '4px', color: ALERT_COLORS[alert.severity], fontWeight: 'bold' }}>
+                                                ⏰ {alert.overflowed ? 'Overflowing' : `Overflow in ~${formatMinutes(alert.minutesToOverflow)}`}
+                                            </div>
+                                        )}
+                                        <div style={{ marginTop: '4px', color: '#999', fontSize: '11px' }}>As of {timestamp}</div>
+                                        {discrepancy && (
+                                            <div style={{ marginTop: '8px', paddingTop: '6px', borderTop: '1px solid #eee' }}>
+                                                <div style={{ fontWeight: 'bold', color: discrepancy.severity.color }}>
+                                                    🕵️ {discrepancy.unaccounted.toFixed(1)} L unaccounted
+                                                </div>
+                                                <div style={{ fontSize: '12px', color: '#555' }}>
+                                                    {discrepancy.ticketMissing} missing ticket(s) · {discrepancy.mismatches} mismatch(es)
+                                                </div>
+                                                {discrepancy.rows.map(row => (
+                                                    <div key={row.date} style={{ fontSize: '11px', marginTop: '2px' }}>
+                                                        {row.date}{' '}
+                                                        <span style={{ color: DISCREPANCY_STATUS_COLORS[row.status], fontWeight: 'bold' }}>{row.status}</span>
+                                                        {' '}ticket {row.ticket_amount} L / drained {row.drain_volume} L
+                                                    </div>
+                                                ))}
+                                            </div>
+                                        )}
                                     </div>
                                 </div>
                             </Popup>
                         </Marker>
                     );
                 })}
+                {showRoutes && routeGeometry.length > 0 && (
+                    <CourierRoutesLayer routes={routeGeometry} selectedId={selectedRouteId} onSelect={setSelectedRouteId} />
+                )}
                 {market && (
                     <Marker position={[market.latitude, market.longitude]} icon={marketIcon}>
                         <Popup>
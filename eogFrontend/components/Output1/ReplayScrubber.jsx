@@ -0,0 +1,50 @@
+import React from 'react';
+import { formatInstant } from '../shared/timeContext';
+
+const SPEED_OPTIONS = [1, 10, 60, 300, 600];
+
+function ReplayScrubber({ range, time, timeZone, isPlaying, following, speed, loadingChunk, onSeek, onTogglePlay, onToggleLive, onSpeedChange, onStep }) {
+    return (
+        <div className="replay-scrubber">
+            <div className="replay-buttons">
+                <button onClick={() => onStep(-10)} title="Back 10 minutes">⏪</button>
+                <button onClick={() => onStep(-1)} title="Back 1 minute">◀</button>
+                <button className="replay-play" onClick={onTogglePlay} title={isPlaying ? 'Pause' : 'Play'}>
+                    {isPlaying ? '⏸' : '▶'}
+                </button>
+                <button onClick={() => onStep(1)} title="Forward 1 minute">▶</button>
+                <button onClick={() => onStep(10)} title="Forward 10 minutes">⏩</button>
+                <button
+                    className={following ? 'replay-live active' : 'replay-live'}
+                    onClick={onToggleLive}
+                    title={following ? 'Stop following live readings' : 'Follow live readings'}
+                >
+                    ● Live
+                </button>
+            </div>
+            <div className="replay-track">
+                <input
+                    type="range"
+                    min={range.start}
+                    max={range.end}
+                    step={60}
+                    value={time}
+                    onChange={(e) => onSeek(parseInt(e.target.value, 10))}
+                />
+                <div className="replay-track-labels">
+                    <span>{formatInstant(range.start, timeZone, 'MMM D, hh:mm A')}</span>
+                    <span>{loadingChunk ? '⏳ Loading levels...' : ''}</span>
+                    <span>{formatInstant(range.end, timeZone, 'MMM D, hh:mm A')}</span>
+                </div>
+            </div>
+            <label className="replay-speed">
+                Speed
+                <select value={speed} onChange={(e) => onSpeedChange(parseInt(e.target.value, 10))}>
+                    {SPEED_OPTIONS.map(s => <option key={s} value={s}>{s}x</option>)}
+                </select>
+            </label>
+        </div>
+    );
+}
+
+export default ReplayScrubber;
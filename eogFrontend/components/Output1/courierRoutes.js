@@ -0,0 +1,77 @@
+import { createTravelTimeTable } from '../shared/networkGraph';
+
+export const ROUTE_COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#9a6324'];
+
+// Replayed route time: 5 network minutes per second of animation
+export const ROUTE_MINUTES_PER_SECOND = 5;
+
+export const routeColor = (index) => ROUTE_COLORS[index % ROUTE_COLORS.length];
+
+// Map geometry and a travel timeline for one optimizer route. Each stop's `path` lists the network nodes
+// from the previous stop (shortest path, see networkGraph), so legs follow real edges at their travel times.
+export const buildRouteGeometry = (route, { depot, unloadMinutes = 0, positions, travelTimes }) => {
+    const points = positions[depot] ? [positions[depot]] : [];
+    const segments = [];
+    const stops = [];
+    let clock = 0;
+    let current = depot;
+
+    route.stops.forEach((stop, idx) => {
+        const target = stop.type === 'DELIVERY' ? depot : stop.cauldronId;
+        const hops = stop.path && stop.path.length > 1 ? stop.path : [current, target];
+        for (let i = 1; i < hops.length; i++) {
+            const from = positions[hops[i - 1]];
+            const to = positions[hops[i]];
+            const minutes = travelTimes.travelTime(hops[i - 1], hops[i]);
+            const duration = Number.isFinite(minutes) ? minutes : 0;
+            if (from && to) {
+                segments.push({ from, to, start: clock, end: clock + duration });
+                points.push(to);
+            }
+            clock += duration;
+        }
+        stops.push({
+            number: idx + 1,
+            nodeId: target,
+            position: positions[target] || null,
+            type: stop.type === 'DELIVERY' ? 'DELIVERY' : 'PICKUP',
+            name: stop.name || stop.location,
+            volume: stop.type === 'DELIVERY' ? stop.deliveryVolume : stop.pickupVolume,
+            arrival: clock
+        });
+        if (stop.type === 'DELIVERY' && unloadMinutes > 0 && positions[depot]) {
+            segments.push({ from: positions[depot], to: positions[depot], start: clock, end: clock + unloadMinutes });
+            clock += unloadMinutes;
+        }
+        current = target;
+    });
+
+    return { courierId: route.courierId, courierName: route.courierName, points, segments, stops, duration: clock };
+};
+
+export const buildPlanGeometry = (plan, { cauldrons, market, edges }) => {
+    if (!plan || !plan.routes.length) return [];
+    const positions = {};
+    cauldrons.forEach(c => { positions[c.id] = [c.latitude, c.longitude]; });
+    if (market) positions[plan.depot] = [market.latitude, market.longitude];
+    const travelTimes = createTravelTimeTable(edges);
+    return plan.routes.map((route, idx) => ({
+        ...buildRouteGeometry(route, { depot: plan.depot, unloadMinutes: plan.unloadMinutes, positions, travelTimes }),
+        color: routeColor(idx),
+        totalVolume: route.totalVolume,
+        feasible: route.feasible
+    }));
+};
+
+// Courier position `minute` minutes after dispatch; parked at the last point once the route is done
+export const positionAt = (geometry, minute) => {
+    const { segments, points } = geometry;
+    if (!segments.length) return points[0] || null;
+    const segment = segments.find(s => minute >= s.start && minute <= s.end);
+    if (!segment) return minute < segments[0].start ? segments[0].from : segments[segments.length - 1].to;
+    const t = segment.end > segment.start ? (minute - segment.start) / (segment.end - segment.start) : 1;
+    return [
+        segment.from[0] + (segment.to[0] - segment.from[0]) * t,
+        segment.from[1] + (segment.to[1] - segment.from[1]) * t
+    ];
+};
@@ -0,0 +1,82 @@
+import { useEffect, useState } from 'react';
+import { DEFAULT_ANALYSIS_PARAMS, fetchComparison } from '../Output3/analysisParams';
+
+// Statuses where potion left a cauldron without a ticket covering it
+const FLAGGED_STATUSES = ['TICKET_MISSING', 'MISMATCH'];
+const RECENT_ROWS = 5;
+
+export const SEVERITY_LEVELS = [
+    { key: 'none', label: 'No discrepancies', color: '#2ecc71' },
+    { key: 'low', label: 'Low', color: '#facc15' },
+    { key: 'medium', label: 'Medium', color: '#f97316' },
+    { key: 'high', label: 'High', color: '#dc2626' }
+];
+
+export const EMPTY_DISCREPANCY = {
+    ticketMissing: 0,
+    mismatches: 0,
+    unaccounted: 0,
+    rows: [],
+    flagged: 0,
+    share: 0,
+    severity: SEVERITY_LEVELS[0]
+};
+
+// Liters drained beyond what the ticket accounts for; under-drained days don't offset anything
+const unaccountedLiters = (row) => Math.max(0, row.drain_volume - row.ticket_amount);
+
+const severityFor = (entry) => {
+    if (entry.flagged === 0) return SEVERITY_LEVELS[0];
+    if (entry.share < 1 / 3) return SEVERITY_LEVELS[1];
+    if (entry.share < 2 / 3) return SEVERITY_LEVELS[2];
+    return SEVERITY_LEVELS[3];
+};
+
+// Per-cauldron discrepancy totals from /compare results. Severity is relative to the worst cauldron in the
+// range, so the layer still separates cauldrons when every one of them has something wrong.
+export const summarizeDiscrepancies = (results) => {
+    const byCauldron = {};
+    results.forEach(row => {
+        const entry = byCauldron[row.cauldron_id] || (byCauldron[row.cauldron_id] = {
+            ticketMissing: 0,
+            mismatches: 0,
+            unaccounted: 0,
+            rows: []
+        });
+        if (row.status === 'TICKET_MISSING') entry.ticketMissing += 1;
+        if (row.status === 'MISMATCH') entry.mismatches += 1;
+        if (FLAGGED_STATUSES.includes(row.status)) entry.unaccounted += unaccountedLiters(row);
+        if (row.status !== 'MATCH' && row.status !== 'NO_DATA') entry.rows.push(row);
+    });
+
+    const worst = Math.max(0, ...Object.values(byCauldron).map(entry => entry.unaccounted));
+    Object.values(byCauldron).forEach(entry => {
+        entry.rows = entry.rows.sort((a, b) => b.date.localeCompare(a.date)).slice(0, RECENT_ROWS);
+        entry.flagged = entry.ticketMissing + entry.mismatches;
+        entry.share = worst > 0 ? entry.unaccounted / worst : 0;
+        entry.severity = severityFor(entry);
+    });
+    return byCauldron;
+};
+
+// Runs /compare for the date range while the layer is switched on; detection settings stay at the defaults
+export const useDiscrepancyLayer = (enabled, startDate, endDate) => {
+    const [layer, setLayer] = useState({ summary: null, loading: false, error: null });
+
+    useEffect(() => {
+        if (!enabled || !startDate || !endDate || startDate > endDate) return;
+        const controller = new AbortController();
+        setLayer(prev => ({ ...prev, loading: true, error: null }));
+        fetchComparison({ ...DEFAULT_ANALYSIS_PARAMS, startDate, endDate }, controller.signal)
+            .then(data => setLayer({ summary: summarizeDiscrepancies(data.results || []), loading: false, error: null }))
+            .catch(err => {
+                if (err.name === 'AbortError') return;
+                console.error('Error loading discrepancy layer:', err);
+                // Keep the last overlay up; the controls show the error
+                setLayer(prev => ({ ...prev, loading: false, error: err.message }));
+            });
+        return () => controller.abort();
+    }, [enabled, startDate, endDate]);
+
+    return layer;
+};
@@ -0,0 +1,135 @@
+import React, { useMemo } from "react";
+import Plot from "react-plotly.js";
+
+const SERIES_COLORS = ["#60a5fa", "#f87171", "#34d399", "#fbbf24", "#a78bfa", "#f472b6", "#22d3ee", "#fb923c", "#a3e635", "#e879f9"];
+const GRID_COLUMNS = 3;
+const GRID_ROW_HEIGHT = 220;
+
+const axisStyle = {
+    tickfont: { color: "#e5e7eb" },
+    titlefont: { color: "#e5e7eb" },
+    gridcolor: "#374151",
+    zerolinecolor: "#374151",
+};
+
+const darkLayout = {
+    template: "plotly_dark",
+    plot_bgcolor: "#0b0c10",
+    paper_bgcolor: "#0b0c10",
+    font: { color: "#e5e7eb" },
+};
+
+const inRange = (time, timeRange) =>
+    !timeRange[0] || !timeRange[1] || (time >= new Date(timeRange[0]) && time <= new Date(timeRange[1]));
+
+/* Overlay or small-multiples view of several cauldrons' level series */
+export default function CauldronComparison({ series: windows, drains, cauldronIds, maxVolumes, normalize, mode, timeRange, onRelayout }) {
+    // `windows` holds each cauldron's already windowed (and possibly downsampled) readings from the
+    // level worker; `drains` were detected there on the full-resolution range
+    const series = useMemo(
+        () =>
+            cauldronIds.map((id, idx) => ({
+                id,
+                color: SERIES_COLORS[idx % SERIES_COLORS.length],
+                x: windows[id] ? windows[id].x : [],
+                y: windows[id] ? windows[id].y : [],
+                drains: drains[id] || [],
+            })),
+        [windows, drains, cauldronIds]
+    );
+
+    const scale = (id, volume) => (normalize && maxVolumes[id] ? (volume / maxVolumes[id]) * 100 : volume);
+    const yTitle = normalize ? "Fill (% of max volume)" : "Volume (Liters)";
+    const xRange = timeRange[0] && timeRange[1]
+        ? { range: [new Date(timeRange[0]), new Date(timeRange[1])] }
+        : { autorange: true };
+
+    if (cauldronIds.length === 0) {
+        return <div className="ticket-empty">Pick at least one cauldron to compare.</div>;
+    }
+
+    const tracesFor = (s, axes = {}, showlegend = true) => {
+        const drains = s.drains.filter((e) => inRange(e.endTime, timeRange));
+        return [
+            {
+                x: s.x,
+                y: s.y.map((volume) => scale(s.id, volume)),
+                type: "scatter",
+                mode: "lines",
+                name: s.id,
+                legendgroup: s.id,
+                showlegend,
+                line: { color: s.color, width: 1.5 },
+                ...axes,
+            },
+            {
+                x: drains.map((e) => e.endTime),
+                y: drains.map((e) => scale(s.id, e.levelAfter)),
+                text: drains.map((e) => `${s.id} drain: ${e.drainedVolume.toFixed(1)} L`),
+                hoverinfo: "text+x",
+                type: "scatter",
+                mode: "markers",
+                name: `${s.id} drains`,
+                legendgroup: s.id,
+                showlegend: false,
+                marker: { color: s.color, symbol: "triangle-down", size: 9, line: { color: "white", width: 1 } },
+                ...axes,
+            },
+        ];
+    };
+
+    if (mode === "overlay") {
+        const layout = {
+            ...darkLayout,
+            title: `Level Comparison - ${cauldronIds.length} cauldron(s)`,
+            uirevision: mode,
+            xaxis: { title: "Time", ...xRange, ...axisStyle },
+            yaxis: { title: yTitle, ...axisStyle, ...(normalize ? { range: [0, 105] } : {}) },
+            legend: { orientation: "h" },
+            height: 520,
+        };
+        return (
+            <Plot
+                data={series.flatMap((s) => tracesFor(s))}
+                layout={layout}
+                onRelayout={onRelayout}
+                useResizeHandler
+                style={{ width: "100%" }}
+            />
+        );
+    }
+
+    // Small multiples: one subplot per cauldron, every x axis tied to the first so zooming moves them together
+    const rows = Math.ceil(series.length / GRID_COLUMNS);
+    const layout = {
+        ...darkLayout,
+        title: `All Cauldrons - ${normalize ? "% of max volume" : "liters"}`,
+        uirevision: mode,
+        grid: { rows, columns: GRID_COLUMNS, pattern: "independent", ygap: 0.35 },
+        showlegend: false,
+        height: rows * GRID_ROW_HEIGHT + 80,
+        margin: { t: 60, l: 50, r: 20, b: 40 },
+        annotations: [],
+    };
+    const data = series.flatMap((s, idx) => {
+        const suffix = idx === 0 ? "" : String(idx + 1);
+        layout[`xaxis${suffix}`] = {
+            ...axisStyle,
+            ...(idx === 0 ? xRange : { matches: "x" }),
+            showticklabels: idx >= series.length - GRID_COLUMNS,
+        };
+        layout[`yaxis${suffix}`] = { ...axisStyle, ...(normalize ? { range: [0, 105] } : {}) };
+        layout.annotations.push({
+            text: s.id,
+            showarrow: false,
+            xref: `x${suffix} domain`,
+            yref: `y${suffix} domain`,
+            x: 0,
+            y: 1.15,
+            xanchor: "left",
+            font: { color: s.color, size: 12 },
+        });
+        return tracesFor(s, { xaxis: `x${suffix}`, yaxis: `y${suffix}` }, false);
+    });
+    return <Plot data={data} layout={layout} onRelayout={onRelayout} useResizeHandler style={{ width: "100%" }} />;
+}
@@ -376,166 +376,271 @@
 // }
 
 
-import React, { useEffect, useState, useMemo } from "react";
+import React, { useCallback, useEffect, useState, useMemo } from "react";
 import Plot from "react-plotly.js";
-import axios from "axios";
 import dayjs from "dayjs";
 import "./CauldronWatch.css";
-
-const BASE_URL = "/api";
-
-export default function CauldronWatch() {
-    const [levels, setLevels] = useState([]);
+import { DEFAULT_DRAIN_PARAMS } from "../shared/drainDetection";
+import { matchTicketsToDrains } from "../shared/ticketMatching";
+import { useCauldrons, useCouriers, useDataClient, useStaleData } from "../shared/dataContext";
+import { mergeStale } from "../shared/apiClient";
+import StaleBadge from "../shared/StaleBadge";
+import CauldronComparison from "./CauldronComparison";
+import { RANGE_PRESETS, presetRange, rangeFromRelayout, readViewState, writeViewState } from "./viewState";
+import { useLevelWorker } from "./levelWorkerClient";
+import { formatInstant, rangeFromDates, toDateInput, useTime } from "../shared/timeContext";
+import { useLiveUpdates } from "../shared/liveContext";
+
+const DATA_WINDOW_DAYS = [1, 3, 7, 14, 30];
+
+// Overlay mode starts with this many cauldrons ticked
+const DEFAULT_COMPARE_COUNT = 3;
+// Points per plotted series; longer windows are LTTB-downsampled in the level worker
+const MAX_PLOT_POINTS = { single: 2000, overlay: 1500, grid: 400 };
+// Page-side responses behind the view; levels are fetched (and reported stale) by the level worker
+const TICKET_SOURCES = ["/Tickets"];
+
+// Tickets dated within [start, end] (unix seconds), shaped for the table and the matcher. Ticket dates
+// are UTC days, so the range's ends are compared as UTC days too.
+const ticketsInRange = (list, start, end) => {
+    const startDay = toDateInput(start, "UTC");
+    const endDay = toDateInput(end, "UTC");
+    return list
+        .filter((t) => {
+            const day = String(t.date).slice(0, 10);
+            return day >= startDay && day <= endDay;
+        })
+        .map((t) => ({
+            ...t,
+            // Keep the feed's string; the matcher needs to know whether it carries a time of day
+            raw_date: t.date,
+            date: new Date(t.date),
+        }));
+};
+
+export default function CauldronWatch({ cauldronId }) {
+    // The URL is only read on mount; after that the state is written back to it
+    const [initialView] = useState(() => readViewState());
+    const [levelMeta, setLevelMeta] = useState({ cauldronIds: [], latest: null, readings: 0, stale: null, version: 0 });
+    // Failed loads keep the previous data on screen; the messages feed the stale badge
+    const [loadErrors, setLoadErrors] = useState({});
+    const staleTickets = useStaleData(TICKET_SOURCES);
+    const [loadProgress, setLoadProgress] = useState(null);
+    const [drainsByCauldron, setDrainsByCauldron] = useState({});
+    const [plotSeries, setPlotSeries] = useState({});
     const [tickets, setTickets] = useState([]);
-    const [selectedCauldron, setSelectedCauldron] = useState("");
-    const [timeRange, setTimeRange] = useState([null, null]);
-    const [autoRefresh, setAutoRefresh] = useState(true);
-    const [refreshInterval, setRefreshInterval] = useState(60);
+    const [selectedCauldron, setSelectedCauldron] = useState(cauldronId || initialView.cauldron);
+    const [timeRange, setTimeRange] = useState(initialView.timeRange);
+    const [liveUpdates, setLiveUpdates] = useState(true);
+    // Newest pushed reading (unix seconds) once one lands after the loaded range
+    const [liveLatest, setLiveLatest] = useState(null);
     const [lastUpdated, setLastUpdated] = useState(dayjs());
-    const [timeRangeDays, setTimeRangeDays] = useState(3);
+    // The loaded data window is the app-wide range; zooming within it stays local to this view
+    const clock = useTime();
+    const { range: dataRange, setRange: setDataRange } = clock;
+    // A deep link's data window becomes the shared range; a zoom outside it widens it to the days the
+    // zoom covers
+    const [linkRange] = useState(() => {
+        const bounds = initialView.dataRange || dataRange;
+        const [from, to] = initialView.timeRange;
+        if (!from || !to) return initialView.dataRange;
+        const start = dayjs(from).unix();
+        const end = dayjs(to).unix();
+        if (start >= bounds.start && end <= bounds.end) return initialView.dataRange;
+        return rangeFromDates(toDateInput(start, clock.timeZone), toDateInput(end, clock.timeZone), clock.timeZone);
+    });
+    const [drainParams, setDrainParams] = useState(DEFAULT_DRAIN_PARAMS);
+    const [viewMode, setViewMode] = useState(initialView.view);
+    const [compareIds, setCompareIds] = useState([]);
+    const [normalize, setNormalize] = useState(false);
+    const api = useDataClient();
+    const levelWorker = useLevelWorker();
+    const { data: courierData } = useCouriers();
+    const couriers = useMemo(() => (Array.isArray(courierData) ? courierData : []), [courierData]);
+    const { data: cauldronInfo } = useCauldrons();
+    const maxVolumes = useMemo(() => {
+        const map = {};
+        (Array.isArray(cauldronInfo) ? cauldronInfo : []).forEach((c) => {
+            map[c.id] = c.max_volume;
+        });
+        return map;
+    }, [cauldronInfo]);
 
-    const fetchCauldronData = async () => {
+    // Downloading, parsing and indexing happen in the level worker; only the plotted windows come back
+    // to this thread. Later readings arrive through live updates rather than re-downloads.
+    const fetchCauldronData = useCallback(async () => {
+        if (!levelWorker) return;
         try {
-            const end = Math.floor(Date.now() / 1000);
-            const start = end - timeRangeDays * 24 * 3600;
-
-            const res = await axios.get(`${BASE_URL}/Data?start_date=${start}&end_date=${end}`, {
-                timeout: 10000,
-                responseType: "text",
-            });
-
-            let raw = res.data;
-            if (typeof raw !== "string" || raw.trim().startsWith("<!DOCTYPE html")) {
-                console.error("Invalid or HTML response for /Data");
-                setLevels([]);
-                return;
-            }
-
-            const data = JSON.parse(raw);
-            const rows = [];
-            data.forEach((entry) => {
-                const ts = new Date(entry.timestamp);
-                for (const [cid, level] of Object.entries(entry.cauldron_levels)) {
-                    rows.push({ timestamp: ts, cauldron_id: cid, volume: level });
-                }
-            });
-            setLevels(rows);
+            const start = Math.floor(dataRange.start);
+            const end = Math.floor(dataRange.end);
+
+            setLoadProgress({ loaded: 0, total: null });
+            const meta = await levelWorker.load(start, end, { onProgress: setLoadProgress });
+            // A newer range is loading; it reports its own progress and result
+            if (!meta) return;
+            setLevelMeta((prev) => ({ ...meta, version: prev.version + 1 }));
+            setLoadErrors((prev) => ({ ...prev, levels: null }));
+            setLastUpdated(dayjs());
+            setLoadProgress(null);
         } catch (err) {
             console.error("❌ Error loading cauldron data:", err);
-            setLevels([]);
+            setLoadErrors((prev) => ({ ...prev, levels: `Levels: ${err.message}` }));
+            setLoadProgress(null);
         }
-    };
+    }, [levelWorker, dataRange]);
 
-    const fetchTicketData = async () => {
+    const fetchTicketData = useCallback(async () => {
         try {
-            const end = Math.floor(Date.now() / 1000);
-            const start = end - timeRangeDays * 24 * 3600;
+            const start = Math.floor(dataRange.start);
+            const end = Math.floor(dataRange.end);
 
-            const res = await axios.get(`${BASE_URL}/Tickets?start_date=${start}&end_date=${end}`, {
-                timeout: 10000,
-                responseType: "text",
-            });
-
-            let raw = res.data;
-            if (typeof raw !== "string" || raw.trim().startsWith("<!DOCTYPE html")) {
-                console.error("Invalid or HTML response for /Tickets");
-                setTickets([]);
-                return;
-            }
-
-            const data = JSON.parse(raw);
+            // The ticket feed is shared with the other panels, so fetch it whole and keep the window here
+            const data = await api.get("/Tickets");
             if (!data?.transport_tickets) {
                 console.warn("No ticket data found in range");
                 setTickets([]);
                 return;
             }
 
-            const df = data.transport_tickets.map((t) => ({
-                ...t,
-                date: new Date(t.date),
-            }));
-            setTickets(df);
+            setTickets(ticketsInRange(data.transport_tickets, start, end));
+            setLoadErrors((prev) => ({ ...prev, tickets: null }));
         } catch (err) {
             console.error("❌ Error loading ticket data:", err);
-            setTickets([]);
+            setLoadErrors((prev) => ({ ...prev, tickets: `Tickets: ${err.message}` }));
         }
-    };
+    }, [api, dataRange]);
 
-    useEffect(() => {
+    const reload = useCallback(() => {
         fetchCauldronData();
         fetchTicketData();
-        setLastUpdated(dayjs());
-    }, [timeRangeDays]);
+    }, [fetchCauldronData, fetchTicketData]);
 
     useEffect(() => {
-        if (!autoRefresh) return;
-        const interval = setInterval(() => {
-            fetchCauldronData();
-            fetchTicketData();
+        if (linkRange) setDataRange(linkRange.start, linkRange.end);
+    }, [linkRange, setDataRange]);
+
+    useEffect(() => {
+        reload();
+    }, [reload]);
+
+    // Pushed readings inside the loaded range are indexed in place; later ones only offer a jump forward
+    useLiveUpdates(
+        "levels",
+        (entries) => {
+            if (!levelWorker) return;
+            const newest = Date.parse(entries[entries.length - 1].timestamp) / 1000;
+            if (newest > dataRange.end) setLiveLatest(newest);
+            const inRange = entries.filter((entry) => {
+                const time = Date.parse(entry.timestamp) / 1000;
+                return time >= dataRange.start && time <= dataRange.end;
+            });
+            if (inRange.length === 0) return;
+            levelWorker
+                .append(inRange)
+                .then((meta) => setLevelMeta((prev) => ({ ...meta, version: prev.version + 1 })))
+                .catch((err) => console.error("❌ Error adding live readings:", err));
             setLastUpdated(dayjs());
-        }, refreshInterval * 1000);
-        return () => clearInterval(interval);
-    }, [autoRefresh, refreshInterval]);
+        },
+        liveUpdates
+    );
+
+    useLiveUpdates(
+        "tickets",
+        (incoming) => {
+            const inRange = ticketsInRange(incoming, Math.floor(dataRange.start), Math.floor(dataRange.end));
+            if (inRange.length === 0) return;
+            setTickets((prev) => {
+                const known = new Set(prev.map((t) => t.ticket_id));
+                return [...prev, ...inRange.filter((t) => !known.has(t.ticket_id))];
+            });
+        },
+        liveUpdates
+    );
+
+    // Slides the data window forward to end at the newest pushed reading, keeping its length
+    const jumpToLatest = () => {
+        setDataRange(liveLatest - (dataRange.end - dataRange.start), liveLatest);
+        clock.setInstant(liveLatest);
+        setTimeRange([null, null]);
+    };
+
+    // Back/forward between /cauldrons/:id entries
+    useEffect(() => {
+        if (cauldronId) setSelectedCauldron(cauldronId);
+    }, [cauldronId]);
 
-    const cauldronOptions = useMemo(() => {
-        const ids = [...new Set(levels.map((d) => d.cauldron_id))].sort();
-        return ids;
-    }, [levels]);
+    useEffect(() => {
+        writeViewState({ cauldron: selectedCauldron, view: viewMode, dataRange, timeRange });
+    }, [selectedCauldron, viewMode, dataRange, timeRange]);
+
+    const latestTimestamp = levelMeta.latest;
+    const failedLoads = Object.values(loadErrors).filter(Boolean);
+    const stale = mergeStale(levelMeta.stale, staleTickets, failedLoads.length ? { since: null, errors: failedLoads } : null);
+
+    // Box-zoom and pan set the range; double-click (autorange) clears it
+    const handleRelayout = (event) => {
+        const range = rangeFromRelayout(event);
+        if (range === undefined) return;
+        setTimeRange(range || [null, null]);
+    };
+
+    const isZoomed = Boolean(timeRange[0] && timeRange[1]);
+    const rangeDays = Math.round((dataRange.end - dataRange.start) / (24 * 3600));
+
+    // Clicking a reading moves the app-wide instant there; Plotly reports Date axes in local time
+    const handlePlotClick = (event) => {
+        const x = event?.points?.[0]?.x;
+        if (x) clock.setInstant(dayjs(x).unix());
+    };
+
+    const cauldronOptions = levelMeta.cauldronIds;
 
     useEffect(() => {
         if (!selectedCauldron && cauldronOptions.length > 0)
             setSelectedCauldron(cauldronOptions[0]);
     }, [cauldronOptions]);
 
-    const subset = useMemo(() => {
-        if (!selectedCauldron) return [];
-        const data = levels
-            .filter((d) => d.cauldron_id === selectedCauldron)
-            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-        if (timeRange[0] && timeRange[1]) {
-            return data.filter(
-                (d) =>
-                    new Date(d.timestamp) >= new Date(timeRange[0]) &&
-                    new Date(d.timestamp) <= new Date(timeRange[1])
-            );
-        }
-        return data;
-    }, [levels, selectedCauldron, timeRange]);
-
-    const drainPeriods = useMemo(() => {
-        if (subset.length < 2) return [];
-        const windowSize = Math.min(50, Math.floor(subset.length / 20));
-        if (windowSize < 2) return [];
-        const smooth = subset.map((_, i) => {
-            const start = Math.max(0, i - windowSize / 2);
-            const end = Math.min(subset.length, i + windowSize / 2);
-            const slice = subset.slice(start, end);
-            return slice.reduce((acc, cur) => acc + cur.volume, 0) / slice.length;
-        });
-
-        const periods = [];
-        let inDrain = false;
-        let drainStartIdx = 0;
-        let drainStartVol = 0;
-        const minDrop = 5;
-
-        for (let i = 1; i < smooth.length; i++) {
-            if (smooth[i] < smooth[i - 1] - 0.1) {
-                if (!inDrain) {
-                    inDrain = true;
-                    drainStartIdx = i;
-                    drainStartVol = smooth[i];
-                }
-            } else if (inDrain) {
-                const totalDrop = drainStartVol - smooth[i - 1];
-                if (totalDrop >= minDrop) {
-                    periods.push([drainStartIdx, i - 1]);
-                }
-                inDrain = false;
-            }
-        }
-        return periods;
-    }, [subset]);
+    // Detection runs in the worker on the whole loaded full-resolution series, one UTC day at a time like
+    // the backend, so neither zooming nor downsampling changes which drains are found
+    useEffect(() => {
+        if (!levelWorker) return;
+        let cancelled = false;
+        levelWorker
+            .drains(drainParams)
+            .then((drains) => !cancelled && setDrainsByCauldron(drains))
+            .catch((err) => console.error("❌ Error detecting drains:", err));
+        return () => {
+            cancelled = true;
+        };
+    }, [levelWorker, levelMeta, drainParams]);
+
+    // Only the visible window comes back from the worker, downsampled to MAX_PLOT_POINTS; zooming in
+    // re-requests it, so narrow windows are drawn at full resolution
+    useEffect(() => {
+        if (!levelWorker) return;
+        const ids = viewMode === "single" ? [selectedCauldron].filter(Boolean) : viewMode === "grid" ? cauldronOptions : compareIds;
+        const from = timeRange[0] ? Date.parse(timeRange[0]) : null;
+        const to = timeRange[1] ? Date.parse(timeRange[1]) : null;
+        let cancelled = false;
+        levelWorker
+            .window(ids, from, to, MAX_PLOT_POINTS[viewMode])
+            .then((series) => !cancelled && setPlotSeries(series))
+            .catch((err) => console.error("❌ Error loading plot window:", err));
+        return () => {
+            cancelled = true;
+        };
+    }, [levelWorker, levelMeta, viewMode, selectedCauldron, cauldronOptions, compareIds, timeRange]);
+
+    const selectedSeries = plotSeries[selectedCauldron];
+    const downsampled = Object.values(plotSeries).some((s) => !s.full);
+
+    const drainEvents = useMemo(() => {
+        const events = drainsByCauldron[selectedCauldron] || [];
+        if (!timeRange[0] || !timeRange[1]) return events;
+        return events.filter(
+            (e) => e.endTime >= new Date(timeRange[0]) && e.startTime <= new Date(timeRange[1])
+        );
+    }, [drainsByCauldron, selectedCauldron, timeRange]);
 
     const cauldronTickets = useMemo(() => {
         return tickets.filter(
@@ -547,10 +652,39 @@ export default function CauldronWatch() {
         );
     }, [tickets, selectedCauldron, timeRange]);
 
+    const ticketMatching = useMemo(() => {
+        return matchTicketsToDrains({
+            tickets: cauldronTickets.map((t) => ({ ...t, date: t.raw_date ?? t.date })),
+            drains: drainEvents.map((e) => ({ ...e, cauldronId: selectedCauldron })),
+            couriers,
+        });
+    }, [cauldronTickets, drainEvents, couriers, selectedCauldron]);
+
+    const matchByTicket = useMemo(() => {
+        const map = {};
+        ticketMatching.matches.forEach((m) => {
+            map[m.ticket.ticket_id] = m;
+        });
+        return map;
+    }, [ticketMatching]);
+
+    const changeViewMode = (mode) => {
+        if (mode === "overlay" && compareIds.length === 0) {
+            setCompareIds(cauldronOptions.slice(0, DEFAULT_COMPARE_COUNT));
+        }
+        setViewMode(mode);
+    };
+
+    const toggleCompare = (id) => {
+        setCompareIds((prev) =>
+            prev.includes(id) ? prev.filter((c) => c !== id) : [...prev, id].sort()
+        );
+    };
+
     const plotData = [
         {
-            x: subset.map((d) => d.timestamp),
-            y: subset.map((d) => d.volume),
+            x: selectedSeries ? selectedSeries.x : [],
+            y: selectedSeries ? selectedSeries.y : [],
             type: "scatter",
             mode: "lines",
             name: "Potion Volume (L)",
@@ -558,12 +692,22 @@ export default function CauldronWatch() {
         },
     ];
 
-    const shapes = [];
+    const shapes = [
+        {
+            type: "line",
+            x0: new Date(clock.instant * 1000),
+            x1: new Date(clock.instant * 1000),
+            y0: 0,
+            y1: 1,
+            yref: "paper",
+            line: { color: "#f472b6", width: 2 },
+        },
+    ];
     const annotations = [];
 
-    drainPeriods.forEach(([startIdx, endIdx]) => {
-        const start = subset[startIdx];
-        const end = subset[endIdx];
+    drainEvents.forEach((event) => {
+        const start = { timestamp: event.startTime, volume: event.levelBefore };
+        const end = { timestamp: event.endTime, volume: event.levelAfter };
         shapes.push({
             type: "rect",
             x0: start.timestamp,
@@ -587,7 +731,7 @@ export default function CauldronWatch() {
             {
                 x: end.timestamp,
                 y: end.volume,
-                text: "Drain End",
+                text: `Drain End (${event.drainedVolume.toFixed(1)}L)`,
                 showarrow: true,
                 arrowcolor: "yellow",
                 font: { size: 9, color: "yellow" },
@@ -596,6 +740,8 @@ export default function CauldronWatch() {
     });
 
     cauldronTickets.forEach((t) => {
+        // Tickets without a matching drain are drawn in orange
+        const color = matchByTicket[t.ticket_id] ? "red" : "orange";
         shapes.push({
             type: "line",
             x0: t.date,
@@ -603,7 +749,7 @@ export default function CauldronWatch() {
             y0: 0,
             y1: 1,
             yref: "paper",
-            line: { color: "red", width: 2, dash: "dash" },
+            line: { color, width: 2, dash: "dash" },
         });
         annotations.push({
             x: t.date,
@@ -611,7 +757,7 @@ export default function CauldronWatch() {
             yref: "paper",
             text: `${t.ticket_id} (${t.amount_collected}L)`,
             showarrow: false,
-            font: { size: 10, color: "red" },
+            font: { size: 10, color },
         });
     });
 
@@ -621,8 +767,11 @@ export default function CauldronWatch() {
         plot_bgcolor: "#0b0c10", // plotting area background
         paper_bgcolor: "#0b0c10", // surrounding background
         font: { color: "#e5e7eb" },
+        // Keeps the zoom across data refreshes; a new cauldron starts from the current range
+        uirevision: selectedCauldron,
         xaxis: {
             title: "Time",
+            ...(isZoomed ? { range: [new Date(timeRange[0]), new Date(timeRange[1])] } : { autorange: true }),
             tickfont: { color: "#e5e7eb" },
             titlefont: { color: "#e5e7eb" },
             gridcolor: "#374151",
@@ -646,101 +795,255 @@ export default function CauldronWatch() {
 
             <div className="controls">
                 <div className="control-group">
-                    <label>Select Cauldron</label>
-                    <select value={selectedCauldron} onChange={(e) => setSelectedCauldron(e.target.value)}>
-                        {cauldronOptions.map((c) => (
-                            <option key={c} value={c}>
-                                {c}
-                            </option>
-                        ))}
+                    <label>View</label>
+                    <select value={viewMode} onChange={(e) => changeViewMode(e.target.value)}>
+                        <option value="single">Single cauldron</option>
+                        <option value="overlay">Compare (overlay)</option>
+                        <option value="grid">All cauldrons (grid)</option>
                     </select>
                 </div>
 
+                {viewMode === "single" ? (
+                    <div className="control-group">
+                        <label>Select Cauldron</label>
+                        <select value={selectedCauldron} onChange={(e) => setSelectedCauldron(e.target.value)}>
+                            {cauldronOptions.map((c) => (
+                                <option key={c} value={c}>
+                                    {c}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                ) : (
+                    <div className="control-group">
+                        <label>Normalize</label>
+                        <label className="inline-check">
+                            <input type="checkbox" checked={normalize} onChange={(e) => setNormalize(e.target.checked)} />
+                            % of max volume
+                        </label>
+                    </div>
+                )}
+
                 <div className="control-group">
-                    <label>Auto-Refresh</label>
-                    <input type="checkbox" checked={autoRefresh} onChange={(e) => setAutoRefresh(e.target.checked)} />
+                    <label>Live Updates</label>
+                    <input type="checkbox" checked={liveUpdates} onChange={(e) => setLiveUpdates(e.target.checked)} />
+                    {liveUpdates && liveLatest > dataRange.end && (
+                        <div className="range-buttons">
+                            <button onClick={jumpToLatest}>
+                                Jump to {formatInstant(liveLatest, clock.timeZone, "MM-DD HH:mm")}
+                            </button>
+                        </div>
+                    )}
                 </div>
 
                 <div className="control-group">
-                    <label>Interval (sec)</label>
-                    <select value={refreshInterval} onChange={(e) => setRefreshInterval(parseInt(e.target.value))}>
-                        {[30, 60, 120, 300].map((s) => (
-                            <option key={s} value={s}>
-                                {s}
+                    <label>Data Range</label>
+                    <select
+                        value={DATA_WINDOW_DAYS.includes(rangeDays) ? rangeDays : ""}
+                        onChange={(e) => {
+                            const days = parseInt(e.target.value);
+                            setDataRange(clock.instant - days * 24 * 3600, clock.instant);
+                            setTimeRange([null, null]);
+                        }}
+                    >
+                        <option value="" disabled>
+                            Custom
+                        </option>
+                        {DATA_WINDOW_DAYS.map((d) => (
+                            <option key={d} value={d}>
+                                {d} days to selected time
                             </option>
                         ))}
                     </select>
                 </div>
 
                 <div className="control-group">
-                    <label>Data Range</label>
-                    <select value={timeRangeDays} onChange={(e) => setTimeRangeDays(parseInt(e.target.value))}>
-                        {[1, 3, 7, 14, 30].map((d) => (
-                            <option key={d} value={d}>
-                                Last {d} days
-                            </option>
+                    <label>Time Window</label>
+                    <div className="range-buttons">
+                        {RANGE_PRESETS.map((preset) => (
+                            <button
+                                key={preset.hours}
+                                onClick={() => setTimeRange(presetRange(preset.hours, latestTimestamp))}
+                                disabled={!latestTimestamp}
+                            >
+                                {preset.label}
+                            </button>
                         ))}
-                    </select>
+                        <button onClick={() => setTimeRange([null, null])} disabled={!isZoomed}>
+                            Reset
+                        </button>
+                    </div>
+                    <div className="range-label">
+                        {isZoomed
+                            ? `${dayjs(timeRange[0]).format("MM-DD HH:mm")} → ${dayjs(timeRange[1]).format("MM-DD HH:mm")}`
+                            : `${formatInstant(dataRange.start, clock.timeZone, "MM-DD HH:mm")} → ${formatInstant(dataRange.end, clock.timeZone, "MM-DD HH:mm")}`}
+                    </div>
+                </div>
+
+                <div className="control-group">
+                    <label>Std Multiplier</label>
+                    <input
+                        type="number"
+                        min={0.5}
+                        max={10}
+                        step={0.5}
+                        value={drainParams.stdMultiplier}
+                        onChange={(e) => {
+                            const value = parseFloat(e.target.value);
+                            if (!Number.isNaN(value) && value > 0)
+                                setDrainParams((prev) => ({ ...prev, stdMultiplier: value }));
+                        }}
+                    />
+                </div>
+
+                <div className="control-group">
+                    <label>Min Duration (min)</label>
+                    <input
+                        type="number"
+                        min={1}
+                        max={60}
+                        step={1}
+                        value={drainParams.minDuration}
+                        onChange={(e) => {
+                            const value = parseInt(e.target.value);
+                            if (!Number.isNaN(value) && value >= 1)
+                                setDrainParams((prev) => ({ ...prev, minDuration: value }));
+                        }}
+                    />
                 </div>
 
                 <div className="control-group">
                     <label>Last Updated</label>
                     <div>{lastUpdated.format("YYYY-MM-DD HH:mm:ss")}</div>
+                    <div className="range-label">
+                        {loadProgress
+                            ? `Loading ${loadProgress.total ? `${loadProgress.loaded}/${loadProgress.total} blocks` : "…"}`
+                            : `${levelMeta.readings.toLocaleString()} readings · ${downsampled ? "downsampled, zoom in for full resolution" : "full resolution"}`}
+                    </div>
+                    <StaleBadge stale={stale} timeZone={clock.timeZone} onRetry={reload} />
                 </div>
             </div>
 
-            <Plot data={plotData} layout={layout} useResizeHandler style={{ width: "100%" }} />
+            {viewMode === "overlay" && (
+                <div className="compare-picker">
+                    {cauldronOptions.map((c) => (
+                        <label key={c} className={compareIds.includes(c) ? "compare-chip selected" : "compare-chip"}>
+                            <input type="checkbox" checked={compareIds.includes(c)} onChange={() => toggleCompare(c)} />
+                            {c}
+                        </label>
+                    ))}
+                </div>
+            )}
 
-            {subset.length > 0 && (
+            {viewMode !== "single" ? (
+                <CauldronComparison
+                    series={plotSeries}
+                    drains={drainsByCauldron}
+                    cauldronIds={viewMode === "grid" ? cauldronOptions : compareIds}
+                    maxVolumes={maxVolumes}
+                    normalize={normalize}
+                    mode={viewMode}
+                    timeRange={timeRange}
+                    onRelayout={handleRelayout}
+                />
+            ) : (
+                <Plot
+                    data={plotData}
+                    layout={layout}
+                    onRelayout={handleRelayout}
+                    onClick={handlePlotClick}
+                    useResizeHandler
+                    style={{ width: "100%" }}
+                />
+            )}
+
+            {viewMode === "single" && selectedSeries?.stats && (
                 <div className="stats-grid">
                     <div className="stats-card">
                         <div>Average Level (L)</div>
-                        <div className="value">
-                            {(() => {
-                                const vols = subset.map((d) => d.volume);
-                                const avg = (vols.reduce((a, b) => a + b, 0) / vols.length).toFixed(2);
-                                return avg;
-                            })()}
-                        </div>
+                        <div className="value">{selectedSeries.stats.average.toFixed(2)}</div>
                     </div>
                     <div className="stats-card">
                         <div>Max Level (L)</div>
-                        <div className="value">{Math.max(...subset.map((d) => d.volume)).toFixed(2)}</div>
+                        <div className="value">{selectedSeries.stats.max.toFixed(2)}</div>
                     </div>
                     <div className="stats-card">
                         <div>Min Level (L)</div>
-                        <div className="value">{Math.min(...subset.map((d) => d.volume)).toFixed(2)}</div>
+                        <div className="value">{selectedSeries.stats.min.toFixed(2)}</div>
+                    </div>
+                    <div className="stats-card">
+                        <div>Detected Drains</div>
+                        <div className="value">{drainEvents.length}</div>
+                    </div>
+                    <div className="stats-card">
+                        <div>Drained incl. Inflow (L)</div>
+                        <div className="value">
+                            {drainEvents.reduce((sum, e) => sum + e.drainedVolume, 0).toFixed(2)}
+                        </div>
                     </div>
                 </div>
             )}
 
-            <div className="ticket-section">
-                <h2>📜 Transport Tickets for {selectedCauldron}</h2>
-                {cauldronTickets.length > 0 ? (
-                    <table className="ticket-table">
-                        <thead>
-                            <tr>
-                                <th>Ticket ID</th>
-                                <th>Courier</th>
-                                <th>Collected (L)</th>
-                                <th>Date</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            {cauldronTickets.map((t) => (
-                                <tr key={t.ticket_id}>
-                                    <td>{t.ticket_id}</td>
-                                    <td>{t.courier_id}</td>
-                                    <td>{t.amount_collected}</td>
-                                    <td>{dayjs(t.date).format("YYYY-MM-DD HH:mm")}</td>
+            {viewMode === "single" && (
+                <div className="ticket-section">
+                    <h2>📜 Transport Tickets for {selectedCauldron}</h2>
+                    {cauldronTickets.length > 0 ? (
+                        <table className="ticket-table">
+                            <thead>
+                                <tr>
+                                    <th>Ticket ID</th>
+                                    <th>Courier</th>
+                                    <th>Collected (L)</th>
+                                    <th>Date</th>
+                                    <th>Matched Drain</th>
+                                    <th>Drained (L)</th>
+                                    <th>Match Score</th>
                                 </tr>
-                            ))}
-                        </tbody>
-                    </table>
-                ) : (
-                    <div className="ticket-empty">No transport tickets found for this cauldron in the selected time range.</div>
-                )}
-            </div>
+                            </thead>
+                            <tbody>
+                                {cauldronTickets.map((t) => {
+                                    const match = matchByTicket[t.ticket_id];
+                                    return (
+                                        <tr key={t.ticket_id}>
+                                            <td>{t.ticket_id}</td>
+                                            <td>{t.courier_id}</td>
+                                            <td>{t.amount_collected}</td>
+                                            <td>{dayjs(t.date).format("YYYY-MM-DD HH:mm")}</td>
+                                            {match ? (
+                                                <>
+                                                    <td>
+                                                        {dayjs(match.drain.startTime).format("MM-DD HH:mm")} –{" "}
+                                                        {dayjs(match.drain.endTime).format("HH:mm")}
+                                                    </td>
+                                                    <td>{match.drain.drainedVolume.toFixed(1)}</td>
+                                                    <td>{(match.score * 100).toFixed(0)}%</td>
+                                                </>
+                                            ) : (
+                                                <td colSpan={3} className="ticket-unmatched">No matching drain</td>
+                                            )}
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    ) : (
+                        <div className="ticket-empty">No transport tickets found for this cauldron in the selected time range.</div>
+                    )}
+                    {ticketMatching.unmatchedDrains.length > 0 && (
+                        <div className="unmatched-drains">
+                            <h3>🚱 Drains Without a Ticket</h3>
+                            <ul>
+                                {ticketMatching.unmatchedDrains.map(({ drain }) => (
+                                    <li key={String(drain.startTime)}>
+                                        {dayjs(drain.startTime).format("YYYY-MM-DD HH:mm")} –{" "}
+                                        {dayjs(drain.endTime).format("HH:mm")}: {drain.drainedVolume.toFixed(1)} L
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                </div>
+            )}
         </div>
     );
 }
@@ -0,0 +1,121 @@
+// Columnar per-cauldron index over /api/Data entries, built inside levelWorker.js. Times (epoch ms) and
+// levels sit in Float64Arrays sorted by time, so a zoom window is two binary searches and a subarray
+// instead of a filter over every reading.
+
+import { detectDrainEventsByDay } from "../shared/drainDetection";
+import { lttbIndices } from "../shared/lttb";
+
+export const buildLevelIndex = (entries) => {
+    const rows = {};
+    entries.forEach((entry) => {
+        const time = Date.parse(entry.timestamp);
+        if (Number.isNaN(time)) return;
+        Object.entries(entry.cauldron_levels || {}).forEach(([cauldronId, level]) => {
+            if (!rows[cauldronId]) rows[cauldronId] = [];
+            rows[cauldronId].push([time, level]);
+        });
+    });
+
+    const series = {};
+    let latest = null;
+    Object.entries(rows).forEach(([cauldronId, points]) => {
+        points.sort((a, b) => a[0] - b[0]);
+        const times = new Float64Array(points.length);
+        const levels = new Float64Array(points.length);
+        points.forEach(([time, level], i) => {
+            times[i] = time;
+            levels[i] = level;
+        });
+        series[cauldronId] = { times, levels };
+        if (points.length && (latest === null || times[points.length - 1] > latest)) latest = times[points.length - 1];
+    });
+
+    return { cauldronIds: Object.keys(series).sort(), series, latest };
+};
+
+// The index with `entries` added on the end; per cauldron, only readings newer than the last indexed one
+// are taken, so live updates that overlap the loaded range are not counted twice
+export const appendLevelIndex = (index, entries) => {
+    const additions = buildLevelIndex(entries);
+    const series = { ...index.series };
+    let added = 0;
+    additions.cauldronIds.forEach((cauldronId) => {
+        const current = series[cauldronId] || { times: new Float64Array(0), levels: new Float64Array(0) };
+        const next = additions.series[cauldronId];
+        const size = current.times.length;
+        const from = size ? lowerBound(next.times, current.times[size - 1] + 1) : 0;
+        if (from === next.times.length) return;
+        const times = new Float64Array(size + next.times.length - from);
+        const levels = new Float64Array(times.length);
+        times.set(current.times);
+        levels.set(current.levels);
+        times.set(next.times.subarray(from), size);
+        levels.set(next.levels.subarray(from), size);
+        series[cauldronId] = { times, levels };
+        added = Math.max(added, next.times.length - from);
+    });
+    const latest = index.latest === null ? additions.latest : Math.max(index.latest, additions.latest ?? index.latest);
+    return { index: { cauldronIds: Object.keys(series).sort(), series, latest }, added };
+};
+
+// First index with times[i] >= time
+const lowerBound = (times, time) => {
+    let lo = 0;
+    let hi = times.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (times[mid] < time) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+};
+
+// Drain events per cauldron on the full-resolution series, with times as Date objects
+export const detectIndexDrains = (index, params) => {
+    const drains = {};
+    index.cauldronIds.forEach((cauldronId) => {
+        const { times, levels } = index.series[cauldronId];
+        const points = Array.from(times, (time, i) => ({ time, level: levels[i] }));
+        drains[cauldronId] = detectDrainEventsByDay(points, params).map((event) => ({
+            ...event,
+            startTime: new Date(event.startTime),
+            endTime: new Date(event.endTime),
+        }));
+    });
+    return drains;
+};
+
+// Readings of one cauldron between `from` and `to` (ms, either may be null), LTTB-downsampled to at most
+// `maxPoints`. `full` says whether nothing was dropped; stats always cover every reading in the window.
+export const windowSeries = (index, cauldronId, from, to, maxPoints) => {
+    const source = index.series[cauldronId];
+    if (!source) return { times: new Float64Array(0), levels: new Float64Array(0), full: true, stats: null };
+    const start = from == null ? 0 : lowerBound(source.times, from);
+    const end = to == null ? source.times.length : lowerBound(source.times, to + 1);
+    const times = source.times.subarray(start, end);
+    const levels = source.levels.subarray(start, end);
+
+    let stats = null;
+    if (levels.length) {
+        let sum = 0;
+        let min = Infinity;
+        let max = -Infinity;
+        levels.forEach((level) => {
+            sum += level;
+            if (level < min) min = level;
+            if (level > max) max = level;
+        });
+        stats = { count: levels.length, average: sum / levels.length, min, max };
+    }
+
+    if (levels.length <= maxPoints) {
+        return { times: times.slice(), levels: levels.slice(), full: true, stats };
+    }
+    const picked = lttbIndices(times, levels, maxPoints);
+    return {
+        times: Float64Array.from(picked, (i) => times[i]),
+        levels: Float64Array.from(picked, (i) => levels[i]),
+        full: false,
+        stats,
+    };
+};
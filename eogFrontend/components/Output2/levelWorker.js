@@ -0,0 +1,63 @@
+// Web Worker behind CauldronWatch: downloads and parses /api/Data, keeps the per-cauldron index and runs
+// drain detection, so long ranges never block the page. Talk to it through levelWorkerClient.js.
+
+import { createApiClient, staleSummary } from "../shared/apiClient";
+import { appendLevelIndex, buildLevelIndex, detectIndexDrains, windowSeries } from "./levelIndex";
+
+// Separate in-memory cache from the page's, but the same IndexedDB block store
+const api = createApiClient();
+let index = buildLevelIndex([]);
+let readings = 0;
+// Sequence number of the newest load request; an older load that finishes later leaves the index alone
+let latestLoad = 0;
+
+// Blocks served from older data after a failed refresh show up as `stale` ({ since, errors } or null)
+const indexInfo = () => ({
+    cauldronIds: index.cauldronIds,
+    latest: index.latest,
+    readings,
+    stale: staleSummary(api.getStale(), ["/Data?"]),
+});
+
+const handlers = {
+    load: async ({ start, end, force, seq }, progress) => {
+        latestLoad = seq;
+        const entries = await api.getLevels(start, end, {
+            force,
+            onProgress: (loaded, total) => progress({ loaded, total }),
+        });
+        if (seq !== latestLoad) return { result: { superseded: true } };
+        index = buildLevelIndex(entries);
+        readings = entries.length;
+        return { result: indexInfo() };
+    },
+    append: async ({ entries }) => {
+        const next = appendLevelIndex(index, entries);
+        index = next.index;
+        readings += next.added;
+        return { result: indexInfo() };
+    },
+    drains: async ({ params }) => ({ result: detectIndexDrains(index, params) }),
+    window: async ({ cauldronIds, from, to, maxPoints }) => {
+        const result = {};
+        const transfer = [];
+        cauldronIds.forEach((cauldronId) => {
+            const series = windowSeries(index, cauldronId, from, to, maxPoints);
+            result[cauldronId] = series;
+            transfer.push(series.times.buffer, series.levels.buffer);
+        });
+        return { result, transfer };
+    },
+};
+
+self.onmessage = async ({ data }) => {
+    const { id, type, payload } = data;
+    try {
+        const handler = handlers[type];
+        if (!handler) throw new Error(`Unknown level worker request: ${type}`);
+        const { result, transfer = [] } = await handler(payload, (progress) => self.postMessage({ id, progress }));
+        self.postMessage({ id, result }, transfer);
+    } catch (err) {
+        self.postMessage({ id, error: err.message });
+    }
+};
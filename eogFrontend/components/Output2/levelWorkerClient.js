@@ -0,0 +1,82 @@
+import { useEffect, useState } from "react";
+
+// Promise wrapper around levelWorker.js; every request gets an id so replies can arrive in any order
+export const createLevelWorkerClient = () => {
+    const worker = new Worker(new URL("./levelWorker.js", import.meta.url), { type: "module" });
+    const pending = new Map();
+    let nextId = 0;
+    // Bumped by every load; replies, progress and errors of earlier loads are dropped
+    let loadSeq = 0;
+
+    worker.onmessage = ({ data }) => {
+        const request = pending.get(data.id);
+        if (!request) return;
+        if (data.progress) {
+            if (request.onProgress) request.onProgress(data.progress);
+            return;
+        }
+        pending.delete(data.id);
+        if (data.error) request.reject(new Error(data.error));
+        else request.resolve(data.result);
+    };
+    worker.onerror = (event) => {
+        pending.forEach((request) => request.reject(new Error(event.message || "Level worker failed")));
+        pending.clear();
+    };
+
+    const call = (type, payload, onProgress) =>
+        new Promise((resolve, reject) => {
+            nextId += 1;
+            pending.set(nextId, { resolve, reject, onProgress });
+            worker.postMessage({ id: nextId, type, payload });
+        });
+
+    return {
+        // Resolves to { cauldronIds, latest (ms), readings, stale } once the range is indexed, or to null
+        // when a later load replaced this one
+        load: (start, end, { force = false, onProgress } = {}) => {
+            const seq = ++loadSeq;
+            const isLatest = () => seq === loadSeq;
+            return call("load", { start, end, force, seq }, (progress) => isLatest() && onProgress?.(progress)).then(
+                (meta) => (isLatest() && !meta.superseded ? meta : null),
+                (err) => {
+                    if (isLatest()) throw err;
+                    return null;
+                }
+            );
+        },
+        // Adds live /api/Data entries to the loaded range; resolves to the same shape as load
+        append: (entries) => call("append", { entries }),
+        // { [cauldronId]: drain events } on the loaded range
+        drains: (params) => call("drains", { params }),
+        // { [cauldronId]: { x: Date[], y: number[], full, stats } } for the window, at most maxPoints each
+        window: async (cauldronIds, from, to, maxPoints) => {
+            const result = await call("window", { cauldronIds, from, to, maxPoints });
+            const series = {};
+            Object.entries(result).forEach(([cauldronId, s]) => {
+                series[cauldronId] = {
+                    x: Array.from(s.times, (time) => new Date(time)),
+                    y: Array.from(s.levels),
+                    full: s.full,
+                    stats: s.stats,
+                };
+            });
+            return series;
+        },
+        terminate: () => {
+            worker.terminate();
+            pending.clear();
+        },
+    };
+};
+
+// One worker per mounted panel, terminated on unmount; null until the first effect has run
+export const useLevelWorker = () => {
+    const [client, setClient] = useState(null);
+    useEffect(() => {
+        const next = createLevelWorkerClient();
+        setClient(next);
+        return () => next.terminate();
+    }, []);
+    return client;
+};
@@ -0,0 +1,83 @@
+// CauldronWatch view state that lives in the URL (/cauldrons/:id plus a query), so a view can be shared
+// as a link, plus the Plotly relayout parsing that turns zooms into a time range.
+
+import dayjs from "dayjs";
+import { navigate, withQuery } from "../shared/router";
+
+export const CAULDRONS_PATH = "/cauldrons";
+
+export const RANGE_PRESETS = [
+    { label: "Last hour", hours: 1 },
+    { label: "Last shift", hours: 8 },
+    { label: "Last day", hours: 24 },
+];
+
+const VIEW_MODES = ["single", "overlay", "grid"];
+
+const toIso = (value) => {
+    const parsed = dayjs(value);
+    return parsed.isValid() ? parsed.toISOString() : null;
+};
+
+// Unix seconds from a query param, null when it is missing or not a number
+const toSeconds = (value) => (value && Number.isFinite(Number(value)) ? Math.floor(Number(value)) : null);
+
+// The cauldron normally comes from the path; `?cauldron=` is still read for links from before routing.
+// `dataRange` is the loaded data window ({ start, end } in unix seconds), null when the link has none.
+export const readViewState = (search = window.location.search) => {
+    const params = new URLSearchParams(search);
+    const from = params.get("from") && toIso(params.get("from"));
+    const to = params.get("to") && toIso(params.get("to"));
+    const start = toSeconds(params.get("start"));
+    const end = toSeconds(params.get("end"));
+    return {
+        cauldron: params.get("cauldron") || "",
+        view: VIEW_MODES.includes(params.get("view")) ? params.get("view") : "single",
+        dataRange: start !== null && end !== null && start < end ? { start, end } : null,
+        timeRange: from && to && from < to ? [from, to] : [null, null],
+    };
+};
+
+export const cauldronPath = (cauldron) => (cauldron ? `${CAULDRONS_PATH}/${encodeURIComponent(cauldron)}` : CAULDRONS_PATH);
+
+// Link to one cauldron's chart zoomed to [from, to] (anything dayjs parses); the data window is the
+// app-wide time range, which CauldronWatch widens when the zoom falls outside it
+export const cauldronViewUrl = (cauldron, from, to) =>
+    withQuery(cauldronPath(cauldron), { from: toIso(from), to: toIso(to) });
+
+// Replaces (not pushes) the URL so zooming doesn't flood the back button; unrelated params are kept.
+// The data window is the shared time range, written as `start`/`end` so a copied link loads the same data.
+export const writeViewState = ({ cauldron, view, dataRange, timeRange }) => {
+    const params = new URLSearchParams(window.location.search);
+    const set = (key, value) => (value ? params.set(key, value) : params.delete(key));
+    // The cauldron lives in the path; `days` is the data window of links from before the time context
+    params.delete("cauldron");
+    params.delete("days");
+    set("view", view !== "single" && view);
+    set("start", dataRange && String(Math.floor(dataRange.start)));
+    set("end", dataRange && String(Math.floor(dataRange.end)));
+    set("from", timeRange[0]);
+    set("to", timeRange[1]);
+    const query = params.toString();
+    navigate(`${cauldronPath(cauldron)}${query ? `?${query}` : ""}`, { replace: true });
+};
+
+// [from, to] as ISO strings for a zoom or pan, null when the axes were reset, undefined for other relayouts
+// (resizes, legend clicks). Plotly reports date axes as local-time strings.
+export const rangeFromRelayout = (event) => {
+    if (!event) return undefined;
+    const keys = Object.keys(event);
+    if (keys.some((key) => /^xaxis\d*\.autorange$/.test(key) && event[key])) return null;
+    const axis = keys.map((key) => key.match(/^(xaxis\d*)\.range(\[0\])?$/)).find(Boolean)?.[1];
+    if (!axis) return undefined;
+    const range = event[`${axis}.range`] || [event[`${axis}.range[0]`], event[`${axis}.range[1]`]];
+    const from = toIso(range[0]);
+    const to = toIso(range[1]);
+    return from && to ? [from, to] : undefined;
+};
+
+// Range covering the last `hours` of loaded data, which can lag the wall clock
+export const presetRange = (hours, latest) => {
+    const end = dayjs(latest || undefined);
+    return [end.subtract(hours, "hour").toISOString(), end.toISOString()];
+};
@@ -0,0 +1,178 @@
+import React, { useState } from "react";
+import { DEFAULT_ANALYSIS_PARAMS, countDays, validateParams } from "./analysisParams";
+
+/* Parameter form, run/cancel buttons and named presets for the /compare analysis */
+export default function AnalysisControls({
+    params,
+    onChange,
+    onRun,
+    onCancel,
+    running,
+    elapsedSeconds,
+    presets,
+    onSavePreset,
+    onDeletePreset,
+}) {
+    const [presetName, setPresetName] = useState("");
+    const [selectedPreset, setSelectedPreset] = useState("");
+    const error = validateParams(params);
+
+    const setField = (field, parse) => (e) => onChange({ ...params, [field]: parse(e.target.value) });
+
+    const applyPreset = (name) => {
+        setSelectedPreset(name);
+        if (presets[name]) onChange({ ...DEFAULT_ANALYSIS_PARAMS, ...presets[name] });
+    };
+
+    const savePreset = () => {
+        const name = presetName.trim();
+        if (!name) return;
+        onSavePreset(name, params);
+        setSelectedPreset(name);
+        setPresetName("");
+    };
+
+    return (
+        <div style={styles.panel}>
+            <div style={styles.fields}>
+                <label style={styles.field}>
+                    <span style={styles.label}>Start Date (UTC)</span>
+                    <input type="date" value={params.startDate} onChange={setField("startDate", String)} style={styles.input} disabled={running} />
+                </label>
+                <label style={styles.field}>
+                    <span style={styles.label}>End Date (UTC)</span>
+                    <input type="date" value={params.endDate} onChange={setField("endDate", String)} style={styles.input} disabled={running} />
+                </label>
+                <label style={styles.field}>
+                    <span style={styles.label}>Std Multiplier</span>
+                    <input type="number" min={0.5} step={0.5} value={params.stdMultiplier} onChange={setField("stdMultiplier", Number)} style={styles.input} disabled={running} />
+                </label>
+                <label style={styles.field}>
+                    <span style={styles.label}>Min Duration (samples)</span>
+                    <input type="number" min={1} step={1} value={params.minDuration} onChange={setField("minDuration", Number)} style={styles.input} disabled={running} />
+                </label>
+                <label style={styles.field}>
+                    <span style={styles.label}>Tolerance (L)</span>
+                    <input type="number" min={0} step={1} value={params.tolerance} onChange={setField("tolerance", Number)} style={styles.input} disabled={running} />
+                </label>
+            </div>
+
+            <div style={styles.actions}>
+                {running ? (
+                    <>
+                        <button onClick={onCancel} style={{ ...styles.button, background: "#dc2626" }}>✖ Cancel</button>
+                        <span style={styles.progress}>
+                            ⏳ Analyzing {countDays(params)} day(s)… {elapsedSeconds}s
+                        </span>
+                    </>
+                ) : (
+                    <button onClick={() => onRun(params)} disabled={Boolean(error)} style={{ ...styles.button, opacity: error ? 0.5 : 1 }}>
+                        ▶ Run Analysis
+                    </button>
+                )}
+                {error && <span style={styles.error}>{error}</span>}
+            </div>
+
+            <div style={styles.presets}>
+                <select value={selectedPreset} onChange={(e) => applyPreset(e.target.value)} style={styles.input} disabled={running}>
+                    <option value="">Load preset…</option>
+                    {Object.keys(presets).sort().map((name) => (
+                        <option key={name} value={name}>{name}</option>
+                    ))}
+                </select>
+                <button
+                    onClick={() => {
+                        onDeletePreset(selectedPreset);
+                        setSelectedPreset("");
+                    }}
+                    disabled={!selectedPreset}
+                    style={{ ...styles.secondaryButton, opacity: selectedPreset ? 1 : 0.5 }}
+                >
+                    Delete
+                </button>
+                <input
+                    type="text"
+                    placeholder="Preset name"
+                    value={presetName}
+                    onChange={(e) => setPresetName(e.target.value)}
+                    style={styles.input}
+                />
+                <button onClick={savePreset} disabled={!presetName.trim() || Boolean(error)} style={{ ...styles.secondaryButton, opacity: presetName.trim() && !error ? 1 : 0.5 }}>
+                    💾 Save Preset
+                </button>
+            </div>
+        </div>
+    );
+}
+
+const styles = {
+    panel: {
+        background: "white",
+        padding: "1rem",
+        borderRadius: "8px",
+        boxShadow: "0 1px 3px rgba(0,0,0,0.1)",
+        marginTop: "1.5rem",
+    },
+    fields: {
+        display: "grid",
+        gridTemplateColumns: "repeat(auto-fit, minmax(160px, 1fr))",
+        gap: "0.75rem",
+    },
+    field: {
+        display: "flex",
+        flexDirection: "column",
+        gap: "0.25rem",
+    },
+    label: {
+        fontSize: "0.85rem",
+        color: "#6b7280",
+    },
+    input: {
+        padding: "0.4rem 0.5rem",
+        border: "1px solid #d1d5db",
+        borderRadius: "6px",
+        fontSize: "0.95rem",
+    },
+    actions: {
+        display: "flex",
+        alignItems: "center",
+        gap: "1rem",
+        marginTop: "1rem",
+    },
+    button: {
+        background: "#1e3a8a",
+        color: "white",
+        border: "none",
+        borderRadius: "6px",
+        padding: "0.5rem 1rem",
+        cursor: "pointer",
+        fontWeight: "bold",
+    },
+    secondaryButton: {
+        background: "#e0e7ff",
+        color: "#1e3a8a",
+        border: "none",
+        borderRadius: "6px",
+        padding: "0.4rem 0.8rem",
+        cursor: "pointer",
+    },
+    progress: {
+        display: "flex",
+        alignItems: "center",
+        gap: "0.5rem",
+        color: "#475569",
+    },
+    error: {
+        color: "#dc2626",
+        fontSize: "0.9rem",
+    },
+    presets: {
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        gap: "0.5rem",
+        marginTop: "1rem",
+        paddingTop: "1rem",
+        borderTop: "1px solid #e5e7eb",
+    },
+};
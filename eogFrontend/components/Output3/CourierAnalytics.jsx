@@ -0,0 +1,168 @@
+import React, { useMemo, useState } from "react";
+import { SUSPICION_WEIGHTS, buildCourierAnalytics } from "./courierAnalytics";
+
+const percent = (value) => `${(value * 100).toFixed(0)}%`;
+const signed = (value) => `${value > 0 ? "+" : ""}${value.toFixed(1)}`;
+
+const SIGNAL_LABELS = {
+    mismatch: "MISMATCH days",
+    drainNotDetected: "DRAIN_NOT_DETECTED days",
+    underReporting: "under-reporting",
+    unmatched: "tickets with no drain",
+};
+
+/* Couriers ranked by suspicion, with each courier's tickets one click away */
+export default function CourierAnalytics({ matching, results, couriers, rowColor }) {
+    const [expanded, setExpanded] = useState(null);
+    const analytics = useMemo(
+        () => buildCourierAnalytics({ matching, results, couriers }),
+        [matching, results, couriers]
+    );
+    if (!matching) return null;
+
+    return (
+        <div style={styles.section}>
+            <h2 style={styles.heading}>🧹 Courier Analytics</h2>
+            <p style={styles.note}>
+                Suspicion mixes {Object.entries(SUSPICION_WEIGHTS).map(([key, weight]) => `${SIGNAL_LABELS[key]} (${percent(weight)})`).join(", ")}.
+                Differences are ticket minus drained volume; negative means the ticket under-reports. Click a courier to see their tickets.
+            </p>
+
+            <table style={styles.table}>
+                <thead>
+                    <tr style={styles.thead}>
+                        <th>#</th>
+                        <th>Courier</th>
+                        <th>Tickets</th>
+                        <th>Collected (L)</th>
+                        <th>MISMATCH</th>
+                        <th>DRAIN_NOT_DETECTED</th>
+                        <th>Avg. Difference (L)</th>
+                        <th>Under / Over (L)</th>
+                        <th>Suspicion</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {analytics.map((c) => (
+                        <React.Fragment key={c.courierId}>
+                            <tr
+                                style={{ ...styles.row, cursor: "pointer", background: expanded === c.courierId ? "#eef2ff" : "white" }}
+                                onClick={() => setExpanded(expanded === c.courierId ? null : c.courierId)}
+                            >
+                                <td>{c.rank}</td>
+                                <td><b>{c.name}</b> <span style={styles.muted}>{c.courierId}</span></td>
+                                <td>{c.ticketCount}</td>
+                                <td>{c.collected.toFixed(1)}</td>
+                                <td>{percent(c.mismatchRate)}</td>
+                                <td>{percent(c.drainNotDetectedRate)}</td>
+                                <td style={{ color: c.avgDifference < 0 ? "#dc2626" : "#1e293b" }}>{signed(c.avgDifference)}</td>
+                                <td>{c.underReported.toFixed(1)} / {c.overReported.toFixed(1)}</td>
+                                <td>
+                                    <div style={styles.barTrack} title={Object.entries(c.signals).map(([k, v]) => `${SIGNAL_LABELS[k]}: ${percent(v)}`).join("\n")}>
+                                        <div style={{ ...styles.bar, width: `${c.suspicion}%`, background: suspicionColor(c.suspicion) }} />
+                                    </div>
+                                    <b>{c.suspicion.toFixed(0)}</b>
+                                </td>
+                            </tr>
+                            {expanded === c.courierId && (
+                                <tr>
+                                    <td colSpan={9} style={styles.drilldown}>
+                                        {c.tickets.length === 0 ? <i>No tickets in this range.</i> : (
+                                            <table style={{ ...styles.table, boxShadow: "none" }}>
+                                                <thead>
+                                                    <tr style={styles.subhead}>
+                                                        <th>Ticket</th>
+                                                        <th>Date</th>
+                                                        <th>Cauldron</th>
+                                                        <th>Ticket Amount</th>
+                                                        <th>Matched Drain</th>
+                                                        <th>Difference</th>
+                                                        <th>Day Status</th>
+                                                    </tr>
+                                                </thead>
+                                                <tbody>
+                                                    {c.tickets.map(({ ticket, status, match }) => (
+                                                        <tr key={ticket.ticket_id} style={{ ...styles.row, background: rowColor(status) }}>
+                                                            <td>{ticket.ticket_id}</td>
+                                                            <td>{String(ticket.date).slice(0, 10)}</td>
+                                                            <td>{ticket.cauldron_id}</td>
+                                                            <td>{ticket.amount_collected.toFixed(1)}</td>
+                                                            <td>{match ? `${match.drain.drainedVolume.toFixed(1)} L (${(match.score * 100).toFixed(0)}%)` : "none"}</td>
+                                                            <td>{match ? signed(match.volumeDifference) : "–"}</td>
+                                                            <td><b>{status}</b></td>
+                                                        </tr>
+                                                    ))}
+                                                </tbody>
+                                            </table>
+                                        )}
+                                    </td>
+                                </tr>
+                            )}
+                        </React.Fragment>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+function suspicionColor(score) {
+    if (score >= 40) return "#dc2626";
+    if (score >= 20) return "#f97316";
+    return "#10b981";
+}
+
+const styles = {
+    section: {
+        marginTop: "2rem",
+    },
+    heading: {
+        color: "#1e293b",
+    },
+    note: {
+        color: "#475569",
+        fontSize: "0.9rem",
+    },
+    muted: {
+        color: "#94a3b8",
+        fontSize: "0.8rem",
+    },
+    table: {
+        width: "100%",
+        borderCollapse: "collapse",
+        background: "white",
+        borderRadius: "8px",
+        overflow: "hidden",
+        boxShadow: "0 1px 3px rgba(0,0,0,0.1)",
+    },
+    thead: {
+        background: "#1e3a8a",
+        color: "white",
+        textAlign: "left",
+    },
+    subhead: {
+        background: "#e0e7ff",
+        color: "#1e293b",
+        textAlign: "left",
+    },
+    row: {
+        borderBottom: "1px solid #e5e7eb",
+    },
+    drilldown: {
+        padding: "0.5rem 1rem 1rem",
+        background: "#eef2ff",
+    },
+    barTrack: {
+        display: "inline-block",
+        width: "80px",
+        height: "8px",
+        background: "#e5e7eb",
+        borderRadius: "4px",
+        overflow: "hidden",
+        marginRight: "0.5rem",
+        verticalAlign: "middle",
+    },
+    bar: {
+        height: "100%",
+    },
+};
@@ -1,86 +1,250 @@
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { detectDrainsForCauldrons } from "../shared/drainDetection";
+import { matchTicketsToDrains } from "../shared/ticketMatching";
+import TicketMatchTable from "./TicketMatchTable";
+import CourierAnalytics from "./CourierAnalytics";
+import AnalysisControls from "./AnalysisControls";
+import RunComparison from "./RunComparison";
+import ExportMenu from "./ExportMenu";
+import DiscrepancyTable from "./DiscrepancyTable";
+import DiscrepancyDrilldown from "./DiscrepancyDrilldown";
+import { useDataClient } from "../shared/dataContext";
+import { navigate, withQuery } from "../shared/router";
+import { datesFromRange, rangeFromDates, useTime } from "../shared/timeContext";
+import {
+    ANALYSIS_TIME_ZONE,
+    describeParams,
+    DEFAULT_ANALYSIS_PARAMS,
+    datesFromLink,
+    fetchComparison,
+    loadPresets,
+    savePresets,
+} from "./analysisParams";
+import { EMPTY_FILTERS, describeFilters, filterResults, sortResults, summarizeResults } from "./resultTable";
 
-export default function DiscrepancyVisualizer() {
-    const [data, setData] = useState(null);
-    const [loading, setLoading] = useState(true);
+// Older runs are dropped from the comparison list past this many
+const MAX_RUNS = 10;
+
+export default function DiscrepancyVisualizer({ from, to }) {
+    // The form's dates are the app-wide range; a link's dates (read on mount only) move that range
+    const { range: sharedRange, setRange: setSharedRange } = useTime();
+    const [initial] = useState(() => {
+        const linkDates = datesFromLink(from, to);
+        return {
+            params: { ...DEFAULT_ANALYSIS_PARAMS, ...(linkDates || datesFromRange(sharedRange, ANALYSIS_TIME_ZONE)) },
+            linkRange: linkDates && rangeFromDates(linkDates.startDate, linkDates.endDate, ANALYSIS_TIME_ZONE),
+        };
+    });
+    const [settings, setSettings] = useState(initial.params);
+    const dates = datesFromRange(sharedRange, ANALYSIS_TIME_ZONE);
+    const params = { ...settings, ...dates };
+    const [runs, setRuns] = useState([]);
+    const [running, setRunning] = useState(false);
+    const [elapsedSeconds, setElapsedSeconds] = useState(0);
+    const [runError, setRunError] = useState(null);
+    const [presets, setPresets] = useState(loadPresets);
+    const [matching, setMatching] = useState(null);
+    const [couriers, setCouriers] = useState([]);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [sort, setSort] = useState(null);
+    const [drillRow, setDrillRow] = useState(null);
+    const controllerRef = useRef(null);
+    const runCountRef = useRef(0);
+    const api = useDataClient();
+
+    const runAnalysis = useCallback(async (runParams) => {
+        controllerRef.current?.abort();
+        const controller = new AbortController();
+        controllerRef.current = controller;
+        setRunning(true);
+        setRunError(null);
+        navigate(withQuery("/discrepancies", { from: runParams.startDate, to: runParams.endDate }), { replace: true });
+        try {
+            const json = await fetchComparison(runParams, controller.signal);
+            runCountRef.current += 1;
+            const run = {
+                id: runCountRef.current,
+                label: `Run ${runCountRef.current}`,
+                params: runParams,
+                data: json,
+                finishedAt: new Date(),
+            };
+            setRuns((prev) => [...prev, run].slice(-MAX_RUNS));
+        } catch (err) {
+            // A run superseded by a newer one has nothing to report
+            if (controllerRef.current !== controller) return;
+            if (err.name === "AbortError") {
+                setRunError("Analysis cancelled.");
+            } else {
+                console.error("Error fetching discrepancy data:", err);
+                setRunError(err.message);
+            }
+        } finally {
+            if (controllerRef.current === controller) {
+                controllerRef.current = null;
+                setRunning(false);
+            }
+        }
+    }, []);
+
+    const cancelAnalysis = () => controllerRef.current?.abort();
+    const closeDrilldown = useCallback(() => setDrillRow(null), []);
 
     useEffect(() => {
-        async function fetchData() {
+        if (initial.linkRange) setSharedRange(initial.linkRange.start, initial.linkRange.end);
+        runAnalysis(initial.params);
+        return () => controllerRef.current?.abort();
+    }, [runAnalysis, initial, setSharedRange]);
+
+    const changeParams = (next) => {
+        setSettings(next);
+        if (next.startDate !== dates.startDate || next.endDate !== dates.endDate) {
+            const range = rangeFromDates(next.startDate, next.endDate, ANALYSIS_TIME_ZONE);
+            setSharedRange(range.start, range.end);
+        }
+    };
+
+    // The backend sends no progress events, so show elapsed time while a run is in flight
+    useEffect(() => {
+        if (!running) return;
+        setElapsedSeconds(0);
+        const started = Date.now();
+        const id = setInterval(() => setElapsedSeconds(Math.floor((Date.now() - started) / 1000)), 1000);
+        return () => clearInterval(id);
+    }, [running]);
+
+    const savePreset = (name, presetParams) => {
+        const next = { ...presets, [name]: presetParams };
+        setPresets(next);
+        savePresets(next);
+    };
+
+    const deletePreset = (name) => {
+        const next = { ...presets };
+        delete next[name];
+        setPresets(next);
+        savePresets(next);
+    };
+
+    const latestRun = runs[runs.length - 1] || null;
+    const data = latestRun?.data;
+
+    // Per-ticket matching runs client-side on the raw levels, next to the backend's daily totals
+    useEffect(() => {
+        if (!latestRun) return;
+        const { startDate, endDate, stdMultiplier, minDuration } = latestRun.params;
+        let active = true;
+        async function fetchMatching() {
             try {
-                const res = await fetch("http://127.0.0.1:5003/compare", {
-                    method: "POST",
-                    headers: { "Content-Type": "application/json" },
-                    body: JSON.stringify({
-                        dates_to_analyze: [
-                            "2025-10-30",
-                            "2025-11-09",
-                        ],
-                        std_multiplier: 5.0,
-                        min_duration: 1,
-                        tolerance: 15.0,
-                    }),
+                // Whole UTC days, the days tickets are dated by and drains are grouped into
+                const { start, end } = rangeFromDates(startDate, endDate, ANALYSIS_TIME_ZONE);
+                const [history, ticketData, couriers] = await Promise.all([
+                    api.getLevels(start, end),
+                    api.get("/Tickets"),
+                    api.get("/Information/couriers").catch(() => []),
+                ]);
+                if (!active) return;
+                const tickets = (ticketData.transport_tickets || []).filter((t) => {
+                    const day = String(t.date).slice(0, 10);
+                    return day >= startDate && day <= endDate;
                 });
-                const json = await res.json();
-                setData(json);
+                setCouriers(couriers);
+                setMatching(matchTicketsToDrains({
+                    tickets,
+                    drains: detectDrainsForCauldrons(history, { stdMultiplier, minDuration }),
+                    couriers,
+                }));
             } catch (err) {
-                console.error("Error fetching discrepancy data:", err);
-            } finally {
-                setLoading(false);
+                console.error("Error building ticket matches:", err);
             }
         }
-        fetchData();
-    }, []);
+        setMatching(null);
+        fetchMatching();
+        return () => { active = false; };
+    }, [api, latestRun]);
 
-    if (loading) return <p style={styles.loading}>🧪 Analyzing potion discrepancies...</p>;
-    if (!data || !data.results) return <p style={styles.error}>No data available</p>;
+    // Summary cards and exports use the same filtered, sorted rows as the table
+    const results = useMemo(() => data?.results || [], [data]);
+    const cauldronIds = useMemo(() => [...new Set(results.map((r) => r.cauldron_id))].sort(), [results]);
+    const visibleResults = useMemo(() => sortResults(filterResults(results, filters), sort), [results, filters, sort]);
 
-    const results = data.results;
-    const summary = {
-        total: results.length,
-        matches: results.filter(r => r.status === "MATCH").length,
-        mismatches: results.filter(r => r.status === "MISMATCH").length,
-        missingTickets: results.filter(r => r.status === "TICKET_MISSING").length,
-        missingDrains: results.filter(r => r.status === "DRAIN_NOT_DETECTED").length,
-    };
+    const controls = (
+        <AnalysisControls
+            params={params}
+            onChange={changeParams}
+            onRun={runAnalysis}
+            onCancel={cancelAnalysis}
+            running={running}
+            elapsedSeconds={elapsedSeconds}
+            presets={presets}
+            onSavePreset={savePreset}
+            onDeletePreset={deletePreset}
+        />
+    );
+
+    if (!data) {
+        return (
+            <div style={styles.container}>
+                <h1 style={styles.title}>🧙 Potion Discrepancy Dashboard</h1>
+                {controls}
+                {running
+                    ? <p style={styles.loading}>🧪 Analyzing potion discrepancies...</p>
+                    : <p style={styles.error}>{runError || "No data available"}</p>}
+            </div>
+        );
+    }
+
+    const summary = summarizeResults(visibleResults);
+    const filterDescription = describeFilters(filters);
 
     return (
         <div style={styles.container}>
             <h1 style={styles.title}>🧙 Potion Discrepancy Dashboard</h1>
 
+            {controls}
+            {runError && <p style={styles.error}>{runError}</p>}
+            <p style={styles.runInfo}>
+                Showing {latestRun.label} ({latestRun.finishedAt.toLocaleTimeString()}): {describeParams(latestRun.params)}
+            </p>
+
             {/* Summary Cards */}
             <div style={styles.summaryGrid}>
-                <SummaryCard label="Total Records" value={summary.total} color="#3b82f6" />
+                <SummaryCard label={filterDescription ? "Filtered Records" : "Total Records"} value={summary.total} color="#3b82f6" />
                 <SummaryCard label="Matches" value={summary.matches} color="#10b981" />
                 <SummaryCard label="Mismatches" value={summary.mismatches} color="#ef4444" />
                 <SummaryCard label="Missing Tickets" value={summary.missingTickets} color="#f97316" />
                 <SummaryCard label="Drains Not Detected" value={summary.missingDrains} color="#facc15" />
             </div>
 
-            {/* Table */}
-            <table style={styles.table}>
-                <thead>
-                    <tr style={styles.thead}>
-                        <th>Cauldron ID</th>
-                        <th>Date</th>
-                        <th>Ticket Amount</th>
-                        <th>Drain Volume</th>
-                        <th>Difference</th>
-                        <th>Status</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    {results.map((r, i) => (
-                        <tr key={i} style={{ ...styles.row, background: rowColor(r.status) }}>
-                            <td>{r.cauldron_id}</td>
-                            <td>{r.date}</td>
-                            <td>{r.ticket_amount}</td>
-                            <td>{r.drain_volume}</td>
-                            <td>{r.difference}</td>
-                            <td><b>{r.status}</b></td>
-                        </tr>
-                    ))}
-                </tbody>
-            </table>
+            <DiscrepancyTable
+                rows={visibleResults}
+                totalCount={results.length}
+                cauldronIds={cauldronIds}
+                filters={filters}
+                onFiltersChange={setFilters}
+                sort={sort}
+                onSortChange={setSort}
+                rowColor={rowColor}
+                onRowClick={setDrillRow}
+            >
+                <ExportMenu run={latestRun} rows={visibleResults} filter={filterDescription} />
+            </DiscrepancyTable>
+
+            {drillRow && (
+                <DiscrepancyDrilldown
+                    row={drillRow}
+                    params={latestRun.params}
+                    couriers={couriers}
+                    rowColor={rowColor}
+                    onClose={closeDrilldown}
+                />
+            )}
+
+            <TicketMatchTable matching={matching} />
+
+            <CourierAnalytics matching={matching} results={results} couriers={couriers} rowColor={rowColor} />
+
+            <RunComparison runs={runs} rowColor={rowColor} />
         </div>
     );
 }
@@ -139,22 +303,6 @@ const styles = {
         fontWeight: "bold",
         margin: 0,
     },
-    table: {
-        width: "100%",
-        borderCollapse: "collapse",
-        background: "white",
-        borderRadius: "8px",
-        overflow: "hidden",
-        boxShadow: "0 1px 3px rgba(0,0,0,0.1)",
-    },
-    thead: {
-        background: "#1e3a8a",
-        color: "white",
-        textAlign: "left",
-    },
-    row: {
-        borderBottom: "1px solid #e5e7eb",
-    },
     loading: {
         textAlign: "center",
         marginTop: "3rem",
@@ -166,4 +314,9 @@ const styles = {
         color: "#dc2626",
         marginTop: "2rem",
     },
+    runInfo: {
+        color: "#475569",
+        fontSize: "0.9rem",
+        marginTop: "1rem",
+    },
 };
@@ -0,0 +1,307 @@
+import React, { useEffect, useMemo, useState } from "react";
+import Plot from "react-plotly.js";
+import { useDataClient } from "../shared/dataContext";
+import Link from "../shared/Link";
+import { cauldronViewUrl } from "../Output2/viewState";
+import { CONTEXT_HOURS, buildRowEvidence, rowWindow } from "./rowEvidence";
+
+const formatTime = (time) => new Date(time).toISOString().slice(11, 16);
+// Plotly draws Date objects in the browser's time zone; UTC wall-clock strings keep the axis in UTC days
+const utc = (time) => new Date(time).toISOString().slice(0, 19).replace("T", " ");
+const liters = (value) => (typeof value === "number" ? `${value.toFixed(2)} L` : "–");
+
+/* The evidence behind one discrepancy row: that day's level chart with detected drain windows and the
+   tickets that were summed, plus the ticket vs. drain volume breakdown */
+export default function DiscrepancyDrilldown({ row, params, couriers, rowColor, onClose }) {
+    const api = useDataClient();
+    const [sources, setSources] = useState(null);
+    const [error, setError] = useState(null);
+    const span = useMemo(() => rowWindow(row.date), [row.date]);
+
+    useEffect(() => {
+        let active = true;
+        setSources(null);
+        setError(null);
+        Promise.all([api.getLevels(span.start, span.end), api.get("/Tickets")])
+            .then(([history, ticketData]) => {
+                if (active) setSources({ history, tickets: ticketData.transport_tickets || [] });
+            })
+            .catch((err) => {
+                console.error("Error loading drill-down data:", err);
+                if (active) setError(err.message);
+            });
+        return () => { active = false; };
+    }, [api, span]);
+
+    useEffect(() => {
+        const onKey = (e) => e.key === "Escape" && onClose();
+        document.addEventListener("keydown", onKey);
+        return () => document.removeEventListener("keydown", onKey);
+    }, [onClose]);
+
+    const evidence = useMemo(
+        () => sources && buildRowEvidence({ row, history: sources.history, tickets: sources.tickets, couriers, params }),
+        [sources, row, couriers, params]
+    );
+
+    return (
+        <div style={styles.backdrop} onClick={onClose}>
+            <div style={styles.panel} onClick={(e) => e.stopPropagation()}>
+                <div style={styles.header}>
+                    <h2 style={styles.heading}>
+                        🔎 {row.cauldron_id} on {row.date}{" "}
+                        <span style={{ ...styles.status, background: rowColor(row.status) }}>{row.status}</span>
+                    </h2>
+                    <div style={styles.actions}>
+                        <Link
+                            to={cauldronViewUrl(row.cauldron_id, span.dayStart * 1000, (span.dayEnd + 1) * 1000)}
+                            style={styles.button}
+                        >
+                            📈 Open in Cauldron Watch
+                        </Link>
+                        <button onClick={onClose} style={styles.button}>✖ Close</button>
+                    </div>
+                </div>
+
+                {error && <p style={styles.error}>Could not load the evidence: {error}</p>}
+                {!error && !evidence && <p style={styles.muted}>Loading levels and tickets…</p>}
+                {evidence && <EvidenceView row={row} params={params} span={span} evidence={evidence} />}
+            </div>
+        </div>
+    );
+}
+
+function EvidenceView({ row, params, span, evidence }) {
+    const { points, drains, tickets, ticketMarkers, ticketTotal, observedTotal, drainTotal } = evidence;
+    const dayStart = utc(span.dayStart * 1000);
+    const dayEnd = utc((span.dayEnd + 1) * 1000);
+
+    const shapes = [
+        // Grey out the context hours that are not part of this row's day
+        { type: "rect", xref: "x", yref: "paper", x0: utc(span.start * 1000), x1: dayStart, y0: 0, y1: 1, fillcolor: "#e5e7eb", opacity: 0.5, line: { width: 0 } },
+        { type: "rect", xref: "x", yref: "paper", x0: dayEnd, x1: utc(span.end * 1000), y0: 0, y1: 1, fillcolor: "#e5e7eb", opacity: 0.5, line: { width: 0 } },
+        ...drains.map((d) => ({
+            type: "rect",
+            xref: "x",
+            yref: "paper",
+            x0: utc(d.startTime),
+            x1: utc(d.endTime),
+            y0: 0,
+            y1: 1,
+            fillcolor: "#ef4444",
+            opacity: 0.2,
+            line: { width: 0 },
+        })),
+        ...ticketMarkers.map((m) => ({
+            type: "line",
+            xref: "x",
+            yref: "paper",
+            x0: utc(m.time),
+            x1: utc(m.time),
+            y0: 0,
+            y1: 1,
+            line: { color: m.drain ? "#16a34a" : "#f97316", width: 2, dash: "dash" },
+        })),
+    ];
+    const annotations = [
+        ...drains.map((d) => ({
+            x: utc(d.endTime),
+            y: d.levelAfter,
+            text: `drain ${d.drainedVolume.toFixed(1)} L`,
+            showarrow: true,
+            arrowhead: 2,
+            ay: 30,
+            font: { size: 10, color: "#b91c1c" },
+        })),
+        ...ticketMarkers.map((m, i) => ({
+            x: utc(m.time),
+            y: 1 - (i % 3) * 0.06,
+            yref: "paper",
+            text: `${m.ticket.ticket_id} (${m.ticket.amount_collected} L)${m.drain ? "" : " · unmatched"}`,
+            showarrow: false,
+            xanchor: "left",
+            font: { size: 10, color: m.drain ? "#15803d" : "#c2410c" },
+        })),
+    ];
+
+    const data = [
+        {
+            x: points.map((p) => utc(p.time)),
+            y: points.map((p) => p.level),
+            type: "scatter",
+            mode: "lines",
+            name: "Level (L)",
+            line: { color: "#2563eb" },
+        },
+    ];
+    const layout = {
+        title: `Levels ${row.date} (UTC) ±${CONTEXT_HOURS}h`,
+        xaxis: { title: "Time (UTC)", range: [utc(span.start * 1000), utc(span.end * 1000)] },
+        yaxis: { title: "Volume (Liters)" },
+        height: 380,
+        margin: { t: 50, l: 60, r: 20, b: 50 },
+        showlegend: false,
+        shapes,
+        annotations,
+    };
+
+    return (
+        <>
+            {points.length === 0
+                ? <p style={styles.muted}>No level readings for this cauldron around {row.date}.</p>
+                : <Plot data={data} layout={layout} useResizeHandler style={{ width: "100%" }} />}
+            <p style={styles.muted}>
+                Red bands are drains detected with σ×{params.stdMultiplier}, min {params.minDuration}. Dashed lines are tickets:
+                green at the drain they were matched to, orange at the ticket's own time when no drain fits.
+            </p>
+
+            <table style={styles.table}>
+                <thead>
+                    <tr style={styles.thead}>
+                        <th></th>
+                        <th>Ticket Amount</th>
+                        <th>Drain Volume</th>
+                        <th>Difference</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr style={styles.row}>
+                        <td>Backend report</td>
+                        <td>{liters(row.ticket_amount)}</td>
+                        <td>{liters(row.drain_volume)}</td>
+                        <td>{liters(row.difference)} (tolerance ±{params.tolerance} L)</td>
+                    </tr>
+                    <tr style={styles.row}>
+                        <td>Recomputed, observed drop</td>
+                        <td>{liters(ticketTotal)} from {tickets.length} ticket(s)</td>
+                        <td>{liters(observedTotal)} from {drains.length} drain(s)</td>
+                        <td>{liters(Math.abs(ticketTotal - observedTotal))}</td>
+                    </tr>
+                    <tr style={styles.row}>
+                        <td>Recomputed, incl. inflow</td>
+                        <td>{liters(ticketTotal)}</td>
+                        <td>{liters(drainTotal)}</td>
+                        <td>{liters(Math.abs(ticketTotal - drainTotal))}</td>
+                    </tr>
+                </tbody>
+            </table>
+
+            <div style={styles.columns}>
+                <div>
+                    <h3 style={styles.subheading}>Tickets summed</h3>
+                    {ticketMarkers.length === 0 ? <p style={styles.muted}>No tickets for this day.</p> : (
+                        <table style={styles.table}>
+                            <tbody>
+                                {ticketMarkers.map((m) => (
+                                    <tr key={m.ticket.ticket_id} style={styles.row}>
+                                        <td>{m.ticket.ticket_id}</td>
+                                        <td>{m.ticket.courier_id}</td>
+                                        <td>{liters(m.ticket.amount_collected)}</td>
+                                        <td>{m.drain ? `→ drain ending ${formatTime(m.drain.endTime)}` : "no matching drain"}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+                <div>
+                    <h3 style={styles.subheading}>Drains detected</h3>
+                    {drains.length === 0 ? <p style={styles.muted}>No drains detected on this day.</p> : (
+                        <table style={styles.table}>
+                            <tbody>
+                                {drains.map((d) => (
+                                    <tr key={d.startIndex} style={styles.row}>
+                                        <td>{formatTime(d.startTime)}–{formatTime(d.endTime)}</td>
+                                        <td>drop {liters(d.observedDrop)}</td>
+                                        <td>+ inflow {liters(d.inflow)}</td>
+                                        <td><b>{liters(d.drainedVolume)}</b></td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            </div>
+        </>
+    );
+}
+
+const styles = {
+    backdrop: {
+        position: "fixed",
+        inset: 0,
+        background: "rgba(15, 23, 42, 0.45)",
+        display: "flex",
+        alignItems: "flex-start",
+        justifyContent: "center",
+        padding: "3vh 1rem",
+        overflowY: "auto",
+        zIndex: 2000,
+    },
+    panel: {
+        background: "white",
+        borderRadius: "10px",
+        boxShadow: "0 10px 30px rgba(0,0,0,0.25)",
+        padding: "1.25rem 1.5rem",
+        width: "min(1100px, 100%)",
+    },
+    header: {
+        display: "flex",
+        justifyContent: "space-between",
+        alignItems: "center",
+        gap: "1rem",
+    },
+    heading: {
+        color: "#1e293b",
+        margin: 0,
+    },
+    subheading: {
+        color: "#1e293b",
+        fontSize: "1rem",
+    },
+    status: {
+        fontSize: "0.8rem",
+        padding: "0.15rem 0.5rem",
+        borderRadius: "999px",
+        verticalAlign: "middle",
+        color: "#1e293b",
+    },
+    actions: {
+        display: "flex",
+        gap: "0.5rem",
+    },
+    button: {
+        padding: "0.35rem 0.75rem",
+        border: "1px solid #cbd5e1",
+        borderRadius: "6px",
+        background: "white",
+        color: "#1e293b",
+        textDecoration: "none",
+        cursor: "pointer",
+    },
+    columns: {
+        display: "grid",
+        gridTemplateColumns: "repeat(auto-fit, minmax(320px, 1fr))",
+        gap: "1rem",
+    },
+    table: {
+        width: "100%",
+        borderCollapse: "collapse",
+        fontSize: "0.9rem",
+    },
+    thead: {
+        background: "#1e3a8a",
+        color: "white",
+        textAlign: "left",
+    },
+    row: {
+        borderBottom: "1px solid #e5e7eb",
+    },
+    muted: {
+        color: "#6b7280",
+        fontSize: "0.85rem",
+    },
+    error: {
+        color: "#dc2626",
+    },
+};
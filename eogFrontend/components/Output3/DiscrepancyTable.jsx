@@ -0,0 +1,246 @@
+import React, { useMemo, useRef, useState } from "react";
+import { RESULT_COLUMNS, RESULT_STATUSES, EMPTY_FILTERS, groupByCauldron, nextSort } from "./resultTable";
+
+const ROW_HEIGHT = 36;
+const VIEWPORT_HEIGHT = 540;
+// Rows rendered above and below the viewport so fast scrolling doesn't flash blank space
+const OVERSCAN = 10;
+
+const format = (value) => (typeof value === "number" ? value.toFixed(2) : value ?? "–");
+
+/* Results table with filters, sortable headers and optional grouping by cauldron. Only the rows in view
+   are rendered, so runs covering many weeks and cauldrons scroll smoothly. */
+export default function DiscrepancyTable({ rows, totalCount, cauldronIds, filters, onFiltersChange, sort, onSortChange, rowColor, onRowClick, children }) {
+    const [grouped, setGrouped] = useState(false);
+    const [collapsed, setCollapsed] = useState(() => new Set());
+    const [scrollTop, setScrollTop] = useState(0);
+    const scrollRef = useRef(null);
+
+    const items = useMemo(
+        () => (grouped ? groupByCauldron(rows, collapsed) : rows.map((row) => ({ type: "row", row }))),
+        [rows, grouped, collapsed]
+    );
+
+    const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+    const last = Math.min(items.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+    const visible = items.slice(first, last);
+
+    const scrollToTop = () => {
+        if (scrollRef.current) scrollRef.current.scrollTop = 0;
+        setScrollTop(0);
+    };
+
+    const setFilter = (field) => (e) => {
+        onFiltersChange({ ...filters, [field]: e.target.value });
+        scrollToTop();
+    };
+
+    const toggleGroup = (cauldronId) => {
+        setCollapsed((prev) => {
+            const next = new Set(prev);
+            if (next.has(cauldronId)) next.delete(cauldronId);
+            else next.add(cauldronId);
+            return next;
+        });
+    };
+
+    const filtered = rows.length !== totalCount;
+
+    return (
+        <div>
+            <div style={styles.filters}>
+                <label style={styles.field}>
+                    <span style={styles.label}>Status</span>
+                    <select value={filters.status} onChange={setFilter("status")} style={styles.input}>
+                        <option value="">All</option>
+                        {RESULT_STATUSES.map((status) => <option key={status} value={status}>{status}</option>)}
+                    </select>
+                </label>
+                <label style={styles.field}>
+                    <span style={styles.label}>Cauldron</span>
+                    <select value={filters.cauldronId} onChange={setFilter("cauldronId")} style={styles.input}>
+                        <option value="">All</option>
+                        {cauldronIds.map((id) => <option key={id} value={id}>{id}</option>)}
+                    </select>
+                </label>
+                <label style={styles.field}>
+                    <span style={styles.label}>From</span>
+                    <input type="date" value={filters.from} onChange={setFilter("from")} style={styles.input} />
+                </label>
+                <label style={styles.field}>
+                    <span style={styles.label}>To</span>
+                    <input type="date" value={filters.to} onChange={setFilter("to")} style={styles.input} />
+                </label>
+                <label style={{ ...styles.field, flex: 1, minWidth: "160px" }}>
+                    <span style={styles.label}>Search</span>
+                    <input type="search" value={filters.search} onChange={setFilter("search")} placeholder="Cauldron, date, status, amount…" style={styles.input} />
+                </label>
+                <label style={styles.check}>
+                    <input type="checkbox" checked={grouped} onChange={(e) => { setGrouped(e.target.checked); scrollToTop(); }} />
+                    Group by cauldron
+                </label>
+                {filtered && (
+                    <button onClick={() => { onFiltersChange(EMPTY_FILTERS); scrollToTop(); }} style={styles.clear}>
+                        Clear filters
+                    </button>
+                )}
+            </div>
+
+            <div style={styles.toolbar}>
+                <span style={styles.label}>
+                    {filtered ? `${rows.length} of ${totalCount} rows match` : `${totalCount} rows`}
+                </span>
+                {children}
+            </div>
+
+            <div
+                ref={scrollRef}
+                onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+                style={{ ...styles.viewport, maxHeight: VIEWPORT_HEIGHT }}
+            >
+                <table style={styles.table}>
+                    <thead>
+                        <tr style={styles.thead}>
+                            {RESULT_COLUMNS.map((column) => (
+                                <th key={column.key} onClick={() => onSortChange(nextSort(sort, column.key))} style={styles.th}>
+                                    {column.label}
+                                    {sort?.key === column.key ? (sort.direction === "asc" ? " ▲" : " ▼") : ""}
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {first > 0 && <tr style={{ height: first * ROW_HEIGHT }} />}
+                        {visible.map((item) =>
+                            item.type === "group" ? (
+                                <tr key={`group-${item.cauldronId}`} onClick={() => toggleGroup(item.cauldronId)} style={styles.groupRow}>
+                                    <td style={styles.cell}>
+                                        {item.collapsed ? "▸" : "▾"} <b>{item.cauldronId}</b>
+                                    </td>
+                                    <td style={styles.cell}>{item.count} day(s)</td>
+                                    <td style={styles.cell}>{format(item.ticketAmount)}</td>
+                                    <td style={styles.cell}>{format(item.drainVolume)}</td>
+                                    <td style={styles.cell}>{format(item.difference)}</td>
+                                    <td style={styles.cell}>{item.flagged} flagged</td>
+                                </tr>
+                            ) : (
+                                <tr
+                                    key={`${item.row.cauldron_id}|${item.row.date}`}
+                                    onClick={() => onRowClick(item.row)}
+                                    title="Show the level chart and tickets behind this row"
+                                    style={{ ...styles.row, background: rowColor(item.row.status) }}
+                                >
+                                    {RESULT_COLUMNS.map((column) => (
+                                        <td key={column.key} style={styles.cell}>
+                                            {column.key === "status" ? <b>{item.row.status}</b> : item.row[column.key]}
+                                        </td>
+                                    ))}
+                                </tr>
+                            )
+                        )}
+                        {last < items.length && <tr style={{ height: (items.length - last) * ROW_HEIGHT }} />}
+                        {items.length === 0 && (
+                            <tr>
+                                <td colSpan={RESULT_COLUMNS.length} style={styles.empty}>No rows match the current filters.</td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
+
+const styles = {
+    filters: {
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "flex-end",
+        gap: "0.75rem",
+        marginBottom: "0.75rem",
+    },
+    field: {
+        display: "flex",
+        flexDirection: "column",
+        gap: "0.25rem",
+    },
+    label: {
+        color: "#475569",
+        fontSize: "0.85rem",
+    },
+    input: {
+        padding: "0.35rem 0.5rem",
+        border: "1px solid #cbd5e1",
+        borderRadius: "6px",
+    },
+    check: {
+        color: "#475569",
+        fontSize: "0.9rem",
+        display: "flex",
+        alignItems: "center",
+        gap: "0.35rem",
+        paddingBottom: "0.4rem",
+    },
+    clear: {
+        padding: "0.35rem 0.75rem",
+        border: "1px solid #cbd5e1",
+        borderRadius: "6px",
+        background: "white",
+        cursor: "pointer",
+    },
+    toolbar: {
+        display: "flex",
+        justifyContent: "space-between",
+        alignItems: "center",
+        flexWrap: "wrap",
+        gap: "1rem",
+        marginBottom: "0.5rem",
+    },
+    viewport: {
+        overflowY: "auto",
+        borderRadius: "8px",
+        boxShadow: "0 1px 3px rgba(0,0,0,0.1)",
+        background: "white",
+    },
+    table: {
+        width: "100%",
+        borderCollapse: "collapse",
+        tableLayout: "fixed",
+    },
+    thead: {
+        background: "#1e3a8a",
+        color: "white",
+        textAlign: "left",
+    },
+    th: {
+        position: "sticky",
+        top: 0,
+        background: "#1e3a8a",
+        padding: "0.5rem",
+        cursor: "pointer",
+        userSelect: "none",
+    },
+    row: {
+        height: ROW_HEIGHT,
+        borderBottom: "1px solid #e5e7eb",
+        cursor: "pointer",
+    },
+    groupRow: {
+        height: ROW_HEIGHT,
+        background: "#e0e7ff",
+        color: "#1e293b",
+        cursor: "pointer",
+        borderBottom: "1px solid #c7d2fe",
+    },
+    cell: {
+        padding: "0 0.5rem",
+        whiteSpace: "nowrap",
+        overflow: "hidden",
+        textOverflow: "ellipsis",
+    },
+    empty: {
+        padding: "1rem",
+        textAlign: "center",
+        color: "#6b7280",
+    },
+};
@@ -0,0 +1,56 @@
+import React, { useState } from "react";
+import { EXPORT_FORMATS, downloadBlob, exportBlob, exportFileName, exportMetadata } from "./resultExport";
+
+/* Download buttons for the rows currently shown, tagged with the run's parameters */
+export default function ExportMenu({ run, rows, filter }) {
+    const [error, setError] = useState(null);
+
+    const download = (format) => {
+        try {
+            const metadata = exportMetadata(run, rows, filter);
+            downloadBlob(exportBlob(format, rows, metadata), exportFileName(metadata, format));
+            setError(null);
+        } catch (err) {
+            console.error("Export failed:", err);
+            setError(`Export failed: ${err.message}`);
+        }
+    };
+
+    return (
+        <div style={styles.menu}>
+            <span style={styles.label}>Export {rows.length} row(s):</span>
+            {EXPORT_FORMATS.map((format) => (
+                <button key={format} onClick={() => download(format)} disabled={rows.length === 0} style={styles.button}>
+                    ⬇ {format.toUpperCase()}
+                </button>
+            ))}
+            {error && <span style={styles.error}>{error}</span>}
+        </div>
+    );
+}
+
+const styles = {
+    menu: {
+        display: "flex",
+        alignItems: "center",
+        gap: "0.5rem",
+        flexWrap: "wrap",
+    },
+    label: {
+        color: "#475569",
+        fontSize: "0.9rem",
+    },
+    button: {
+        padding: "0.35rem 0.75rem",
+        border: "1px solid #1e3a8a",
+        borderRadius: "6px",
+        background: "white",
+        color: "#1e3a8a",
+        fontWeight: 600,
+        cursor: "pointer",
+    },
+    error: {
+        color: "#dc2626",
+        fontSize: "0.85rem",
+    },
+};
@@ -0,0 +1,113 @@
+import React, { useMemo, useState } from "react";
+import { compareRuns, describeParams } from "./analysisParams";
+
+/* Side-by-side view of two completed runs; rows whose status differs are highlighted */
+export default function RunComparison({ runs, rowColor }) {
+    const [leftId, setLeftId] = useState(null);
+    const [rightId, setRightId] = useState(null);
+    const [changedOnly, setChangedOnly] = useState(false);
+
+    // Until the user picks, compare the two most recent runs
+    const left = runs.find((r) => r.id === leftId) || runs[runs.length - 2] || null;
+    const right = runs.find((r) => r.id === rightId) || runs[runs.length - 1] || null;
+    const comparison = useMemo(() => compareRuns(left?.data, right?.data), [left, right]);
+    const rows = changedOnly ? comparison.rows.filter((r) => r.changed) : comparison.rows;
+
+    if (runs.length < 2) {
+        return <p style={styles.hint}>Run the analysis at least twice to compare runs side by side.</p>;
+    }
+
+    const runPicker = (value, setValue) => (
+        <select value={value} onChange={(e) => setValue(Number(e.target.value))} style={styles.select}>
+            {runs.map((run) => (
+                <option key={run.id} value={run.id}>
+                    {run.label}: {describeParams(run.params)}
+                </option>
+            ))}
+        </select>
+    );
+
+    return (
+        <div style={styles.section}>
+            <h2 style={styles.heading}>⚖️ Compare Runs</h2>
+            <div style={styles.pickers}>
+                <span>A {runPicker(left.id, setLeftId)}</span>
+                <span>B {runPicker(right.id, setRightId)}</span>
+                <label>
+                    <input type="checkbox" checked={changedOnly} onChange={(e) => setChangedOnly(e.target.checked)} /> Changed only
+                </label>
+                <b style={{ color: comparison.changedCount ? "#dc2626" : "#10b981" }}>
+                    {comparison.changedCount} status change(s)
+                </b>
+            </div>
+
+            <table style={styles.table}>
+                <thead>
+                    <tr style={styles.thead}>
+                        <th>Cauldron ID</th>
+                        <th>Date</th>
+                        <th>A: Ticket / Drain</th>
+                        <th>A: Status</th>
+                        <th>B: Ticket / Drain</th>
+                        <th>B: Status</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map((row) => (
+                        <tr key={row.key} style={{ ...styles.row, outline: row.changed ? "2px solid #7c3aed" : "none", fontWeight: row.changed ? "bold" : "normal" }}>
+                            <td>{row.cauldronId}</td>
+                            <td>{row.date}</td>
+                            <td>{row.a ? `${row.a.ticket_amount} / ${row.a.drain_volume}` : "–"}</td>
+                            <td style={{ background: rowColor(row.a?.status) }}>{row.a?.status ?? "NOT_IN_RUN"}</td>
+                            <td>{row.b ? `${row.b.ticket_amount} / ${row.b.drain_volume}` : "–"}</td>
+                            <td style={{ background: rowColor(row.b?.status) }}>{row.b?.status ?? "NOT_IN_RUN"}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+const styles = {
+    section: {
+        marginTop: "2rem",
+    },
+    heading: {
+        color: "#1e293b",
+    },
+    hint: {
+        marginTop: "2rem",
+        color: "#6b7280",
+        fontStyle: "italic",
+    },
+    pickers: {
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        gap: "1rem",
+        margin: "0.75rem 0 1rem",
+    },
+    select: {
+        padding: "0.35rem 0.5rem",
+        border: "1px solid #d1d5db",
+        borderRadius: "6px",
+        maxWidth: "420px",
+    },
+    table: {
+        width: "100%",
+        borderCollapse: "collapse",
+        background: "white",
+        borderRadius: "8px",
+        overflow: "hidden",
+        boxShadow: "0 1px 3px rgba(0,0,0,0.1)",
+    },
+    thead: {
+        background: "#1e3a8a",
+        color: "white",
+        textAlign: "left",
+    },
+    row: {
+        borderBottom: "1px solid #e5e7eb",
+    },
+};
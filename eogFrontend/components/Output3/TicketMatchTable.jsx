@@ -0,0 +1,117 @@
+import React from "react";
+
+const formatTime = (time) => new Date(time).toISOString().slice(0, 16).replace("T", " ");
+
+/* Per-ticket view of matchTicketsToDrains output */
+export default function TicketMatchTable({ matching }) {
+    if (!matching) return null;
+    const { matches, unmatchedTickets, unmatchedDrains, summary } = matching;
+
+    return (
+        <div style={styles.section}>
+            <h2 style={styles.heading}>🎟️ Ticket ↔ Drain Matching</h2>
+
+            <div style={styles.summaryRow}>
+                <span style={{ ...styles.pill, background: "#dcfce7" }}>Matched: {summary.matched}</span>
+                <span style={{ ...styles.pill, background: "#ffedd5" }}>Tickets without drain: {summary.unmatchedTickets}</span>
+                <span style={{ ...styles.pill, background: "#fef9c3" }}>Drains without ticket: {summary.unmatchedDrains}</span>
+                <span style={{ ...styles.pill, background: "#e0e7ff" }}>
+                    Avg. score: {(summary.averageScore * 100).toFixed(0)}%
+                </span>
+            </div>
+
+            <table style={styles.table}>
+                <thead>
+                    <tr style={styles.thead}>
+                        <th>Cauldron ID</th>
+                        <th>Ticket</th>
+                        <th>Courier</th>
+                        <th>Ticket Amount</th>
+                        <th>Drain Window (UTC)</th>
+                        <th>Drain Volume</th>
+                        <th>Difference</th>
+                        <th>Score</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {matches.map((m) => (
+                        <tr key={m.ticket.ticket_id} style={{ ...styles.row, background: scoreColor(m.score) }}>
+                            <td>{m.cauldronId}</td>
+                            <td>{m.ticket.ticket_id}</td>
+                            <td>{m.ticket.courier_id}</td>
+                            <td>{m.ticket.amount_collected.toFixed(1)}</td>
+                            <td>{formatTime(m.drain.startTime)} – {formatTime(m.drain.endTime).slice(11)}</td>
+                            <td>{m.drain.drainedVolume.toFixed(1)}</td>
+                            <td>{m.volumeDifference.toFixed(1)}</td>
+                            <td title={`time ${m.components.time.toFixed(2)} · volume ${m.components.volume.toFixed(2)} · courier ${m.components.courier.toFixed(2)}`}>
+                                <b>{(m.score * 100).toFixed(0)}%</b>
+                            </td>
+                        </tr>
+                    ))}
+                    {unmatchedTickets.map(({ ticket, cauldronId, bestScore }) => (
+                        <tr key={ticket.ticket_id} style={{ ...styles.row, background: "#ffedd5" }}>
+                            <td>{cauldronId}</td>
+                            <td>{ticket.ticket_id}</td>
+                            <td>{ticket.courier_id}</td>
+                            <td>{ticket.amount_collected.toFixed(1)}</td>
+                            <td colSpan={3}><b>NO_DRAIN_FOUND</b></td>
+                            <td>{bestScore ? `best ${(bestScore * 100).toFixed(0)}%` : "–"}</td>
+                        </tr>
+                    ))}
+                    {unmatchedDrains.map(({ drain, cauldronId }) => (
+                        <tr key={`${cauldronId}-${drain.startTime}`} style={{ ...styles.row, background: "#fef9c3" }}>
+                            <td>{cauldronId}</td>
+                            <td colSpan={3}><b>NO_TICKET</b></td>
+                            <td>{formatTime(drain.startTime)} – {formatTime(drain.endTime).slice(11)}</td>
+                            <td>{drain.drainedVolume.toFixed(1)}</td>
+                            <td colSpan={2}>–</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+function scoreColor(score) {
+    if (score >= 0.75) return "#dcfce7";
+    if (score >= 0.5) return "#fef3c7";
+    return "#fee2e2";
+}
+
+const styles = {
+    section: {
+        marginTop: "2rem",
+    },
+    heading: {
+        color: "#1e293b",
+    },
+    summaryRow: {
+        display: "flex",
+        flexWrap: "wrap",
+        gap: "0.5rem",
+        margin: "0.75rem 0 1rem",
+    },
+    pill: {
+        padding: "0.35rem 0.75rem",
+        borderRadius: "999px",
+        fontSize: "0.9rem",
+        color: "#1e293b",
+    },
+    table: {
+        width: "100%",
+        borderCollapse: "collapse",
+        background: "white",
+        borderRadius: "8px",
+        overflow: "hidden",
+        boxShadow: "0 1px 3px rgba(0,0,0,0.1)",
+    },
+    thead: {
+        background: "#1e3a8a",
+        color: "white",
+        textAlign: "left",
+    },
+    row: {
+        borderBottom: "1px solid #e5e7eb",
+    },
+};
@@ -0,0 +1,105 @@
+// Parameters for the backend /compare run, named presets kept in localStorage, and run-to-run diffing.
+
+import { fetchJson } from "../shared/apiClient";
+
+export const DEFAULT_ANALYSIS_PARAMS = {
+    startDate: "2025-10-30",
+    endDate: "2025-11-09",
+    stdMultiplier: 5.0,
+    minDuration: 1,
+    tolerance: 15.0,
+};
+
+// /compare reads dates_to_analyze as UTC days and groups tickets and drains the same way, so analysis
+// dates are always taken from (and turned into) ranges in UTC, whatever zone the rest of the app shows
+export const ANALYSIS_TIME_ZONE = "UTC";
+
+const PRESETS_KEY = "eog.discrepancyPresets";
+const COMPARE_URL = "http://127.0.0.1:5003/compare";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// { startDate, endDate } from a /discrepancies?from=&to= link, or null unless both dates are usable
+export const datesFromLink = (from, to) => {
+    if (!DATE_PATTERN.test(from || "") || !DATE_PATTERN.test(to || "") || from > to) return null;
+    return { startDate: from, endDate: to };
+};
+
+export const toComparePayload = (params) => ({
+    dates_to_analyze: [params.startDate, params.endDate],
+    std_multiplier: params.stdMultiplier,
+    min_duration: params.minDuration,
+    tolerance: params.tolerance,
+});
+
+// Runs the backend ticket/drain comparison; resolves to { summary, results, configuration }. A run can
+// take minutes and is cancelled through `signal`, so it has no timeout and isn't repeated on failure.
+export const fetchComparison = (params, signal) =>
+    fetchJson(
+        COMPARE_URL,
+        {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(toComparePayload(params)),
+            signal,
+        },
+        { label: "Analysis", timeoutMs: 0, retries: 0 }
+    );
+
+export const countDays = (params) =>
+    Math.round((Date.parse(params.endDate) - Date.parse(params.startDate)) / (24 * 3600 * 1000)) + 1;
+
+// Returns an error message, or null when the backend will accept the parameters
+export const validateParams = (params) => {
+    if (!params.startDate || !params.endDate) return "Pick a start and end date.";
+    if (params.startDate > params.endDate) return "Start date must be on or before the end date.";
+    if (!(params.stdMultiplier > 0)) return "Std multiplier must be greater than 0.";
+    if (!Number.isInteger(params.minDuration) || params.minDuration < 1) return "Min duration must be a whole number of at least 1.";
+    if (!(params.tolerance >= 0)) return "Tolerance cannot be negative.";
+    return null;
+};
+
+export const describeParams = (params) =>
+    `${params.startDate} → ${params.endDate} · σ×${params.stdMultiplier} · min ${params.minDuration} · ±${params.tolerance}L`;
+
+export const loadPresets = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PRESETS_KEY) || "{}");
+        return stored && typeof stored === "object" ? stored : {};
+    } catch {
+        return {};
+    }
+};
+
+export const savePresets = (presets) => {
+    try {
+        localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+    } catch (err) {
+        console.error("Could not save analysis presets:", err);
+    }
+};
+
+const rowKey = (r) => `${r.cauldron_id}|${r.date}`;
+
+// Lines up two runs' results by cauldron and date; rows missing from one run count as changed
+export const compareRuns = (runA, runB) => {
+    const rowsA = new Map((runA?.results || []).map((r) => [rowKey(r), r]));
+    const rowsB = new Map((runB?.results || []).map((r) => [rowKey(r), r]));
+    const keys = [...new Set([...rowsA.keys(), ...rowsB.keys()])].sort();
+
+    const rows = keys.map((key) => {
+        const a = rowsA.get(key) || null;
+        const b = rowsB.get(key) || null;
+        const [cauldronId, date] = key.split("|");
+        return {
+            key,
+            cauldronId,
+            date,
+            a,
+            b,
+            changed: (a?.status ?? null) !== (b?.status ?? null),
+        };
+    });
+
+    return { rows, changedCount: rows.filter((r) => r.changed).length };
+};
@@ -0,0 +1,93 @@
+// Per-courier audit figures: what each courier's tickets claim, how the backend's daily comparison judged the
+// cauldron-days those tickets fall on, and how far each ticket sits from the drain it was matched to.
+
+// Suspicion is a weighted mix of the signals below, scaled to 0–100
+export const SUSPICION_WEIGHTS = {
+    mismatch: 0.3,
+    drainNotDetected: 0.25,
+    underReporting: 0.3,
+    unmatched: 0.15,
+};
+// Average under-reporting per matched ticket that counts as fully suspicious
+const UNDER_REPORT_SCALE_LITERS = 20;
+// Rates are shrunk toward zero by this many phantom clean tickets, so one bad ticket isn't a 100% rate
+const PRIOR_TICKETS = 3;
+
+const dayOf = (date) => String(date).slice(0, 10);
+
+const emptyStats = (courierId, name) => ({
+    courierId,
+    name,
+    tickets: [],
+    ticketCount: 0,
+    collected: 0,
+    statusCounts: {},
+    matchedCount: 0,
+    differenceSum: 0,
+    underReported: 0,
+    overReported: 0,
+});
+
+const rate = (count, total) => count / (total + PRIOR_TICKETS);
+
+// `matching` comes from matchTicketsToDrains, `results` are the backend /compare rows for the same range.
+// Volume differences are ticket minus drain: negative means more left the cauldron than the ticket admits.
+export const buildCourierAnalytics = ({ matching, results = [], couriers = [] }) => {
+    if (!matching) return [];
+    const dayStatus = new Map(results.map((r) => [`${r.cauldron_id}|${r.date}`, r.status]));
+    const byCourier = new Map();
+    couriers.forEach((c) => byCourier.set(c.courier_id, emptyStats(c.courier_id, c.name || c.courier_id)));
+
+    const entries = [
+        ...matching.matches.map((m) => ({ ticket: m.ticket, match: m })),
+        ...matching.unmatchedTickets.map((u) => ({ ticket: u.ticket, match: null })),
+    ];
+    entries.forEach(({ ticket, match }) => {
+        const courierId = ticket.courier_id || "unknown";
+        if (!byCourier.has(courierId)) byCourier.set(courierId, emptyStats(courierId, courierId));
+        const stats = byCourier.get(courierId);
+        const status = dayStatus.get(`${ticket.cauldron_id}|${ticket.dateKey || dayOf(ticket.date)}`) || "UNKNOWN";
+
+        stats.tickets.push({ ticket, status, match });
+        stats.ticketCount += 1;
+        stats.collected += ticket.amount_collected;
+        stats.statusCounts[status] = (stats.statusCounts[status] || 0) + 1;
+        if (match) {
+            stats.matchedCount += 1;
+            stats.differenceSum += match.volumeDifference;
+            if (match.volumeDifference < 0) stats.underReported += -match.volumeDifference;
+            else stats.overReported += match.volumeDifference;
+        }
+    });
+
+    const analytics = [...byCourier.values()].map((stats) => {
+        const n = stats.ticketCount;
+        const mismatchRate = n ? (stats.statusCounts.MISMATCH || 0) / n : 0;
+        const drainNotDetectedRate = n ? (stats.statusCounts.DRAIN_NOT_DETECTED || 0) / n : 0;
+        const unmatchedRate = n ? (n - stats.matchedCount) / n : 0;
+        const avgUnderReport = stats.matchedCount ? stats.underReported / stats.matchedCount : 0;
+        const signals = {
+            mismatch: rate(stats.statusCounts.MISMATCH || 0, n),
+            drainNotDetected: rate(stats.statusCounts.DRAIN_NOT_DETECTED || 0, n),
+            underReporting: Math.min(1, avgUnderReport / UNDER_REPORT_SCALE_LITERS) * (n / (n + PRIOR_TICKETS)),
+            unmatched: rate(n - stats.matchedCount, n),
+        };
+        const suspicion = 100 * Object.entries(SUSPICION_WEIGHTS)
+            .reduce((sum, [key, weight]) => sum + weight * signals[key], 0);
+
+        return {
+            ...stats,
+            tickets: stats.tickets.sort((a, b) => dayOf(b.ticket.date).localeCompare(dayOf(a.ticket.date))),
+            mismatchRate,
+            drainNotDetectedRate,
+            unmatchedRate,
+            avgDifference: stats.matchedCount ? stats.differenceSum / stats.matchedCount : 0,
+            signals,
+            suspicion,
+        };
+    });
+
+    return analytics
+        .sort((a, b) => b.suspicion - a.suspicion || b.ticketCount - a.ticketCount)
+        .map((entry, idx) => ({ ...entry, rank: idx + 1 }));
+};
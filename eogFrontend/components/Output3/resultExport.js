@@ -0,0 +1,82 @@
+// CSV / JSON / XLSX export of /compare results. Every format carries the run's analysis parameters and a
+// generated-at timestamp, so an exported file can be traced back to the run that produced it.
+
+import { buildWorkbook } from "../shared/xlsx";
+
+export const EXPORT_FORMATS = ["csv", "json", "xlsx"];
+
+const COLUMNS = [
+    ["cauldron_id", "Cauldron ID"],
+    ["date", "Date"],
+    ["ticket_amount", "Ticket Amount"],
+    ["drain_volume", "Drain Volume"],
+    ["difference", "Difference"],
+    ["status", "Status"],
+];
+
+// `filter` describes what was narrowed on screen, e.g. "status = MISMATCH"; rows are exported as given
+export const exportMetadata = (run, rows, filter, generatedAt = new Date()) => ({
+    generated_at: generatedAt.toISOString(),
+    run: run.label,
+    run_finished_at: run.finishedAt.toISOString(),
+    start_date: run.params.startDate,
+    end_date: run.params.endDate,
+    std_multiplier: run.params.stdMultiplier,
+    min_duration: run.params.minDuration,
+    tolerance: run.params.tolerance,
+    filter: filter || "none",
+    row_count: rows.length,
+});
+
+const csvField = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Metadata goes first as "# key: value" comment lines, then a header row and the results
+export const toCsv = (rows, metadata) => {
+    const lines = [
+        ...Object.entries(metadata).map(([key, value]) => `# ${key}: ${value}`),
+        COLUMNS.map(([, label]) => csvField(label)).join(","),
+        ...rows.map((r) => COLUMNS.map(([key]) => csvField(r[key])).join(",")),
+    ];
+    return lines.join("\r\n") + "\r\n";
+};
+
+export const toJson = (rows, metadata) =>
+    JSON.stringify({ metadata, results: rows.map((r) => Object.fromEntries(COLUMNS.map(([key]) => [key, r[key] ?? null]))) }, null, 2);
+
+// Results on the first sheet, parameters on a second "Run" sheet
+export const toXlsx = (rows, metadata) =>
+    buildWorkbook([
+        {
+            name: "Discrepancies",
+            rows: [COLUMNS.map(([, label]) => label), ...rows.map((r) => COLUMNS.map(([key]) => r[key]))],
+        },
+        { name: "Run", rows: [["Parameter", "Value"], ...Object.entries(metadata)] },
+    ]);
+
+export const exportFileName = (metadata, format) =>
+    `discrepancies_${metadata.start_date}_${metadata.end_date}_${metadata.generated_at.replace(/[:.]/g, "-")}.${format}`;
+
+export const exportBlob = (format, rows, metadata) => {
+    switch (format) {
+        // BOM so Excel opens the CSV as UTF-8
+        case "csv": return new Blob(["\uFEFF", toCsv(rows, metadata)], { type: "text/csv;charset=utf-8" });
+        case "json": return new Blob([toJson(rows, metadata)], { type: "application/json" });
+        case "xlsx": return toXlsx(rows, metadata);
+        default: throw new Error(`Unknown export format: ${format}`);
+    }
+};
+
+export const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoked on the next tick; some browsers start the download asynchronously
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,97 @@
+// Filtering, sorting and cauldron grouping for the /compare results table. Kept apart from the component
+// so the summary cards and exports see exactly the rows the table shows.
+
+export const RESULT_STATUSES = ["MATCH", "MISMATCH", "TICKET_MISSING", "DRAIN_NOT_DETECTED", "NO_DATA"];
+
+export const EMPTY_FILTERS = { status: "", cauldronId: "", from: "", to: "", search: "" };
+
+export const RESULT_COLUMNS = [
+    { key: "cauldron_id", label: "Cauldron ID", numeric: false },
+    { key: "date", label: "Date", numeric: false },
+    { key: "ticket_amount", label: "Ticket Amount", numeric: true },
+    { key: "drain_volume", label: "Drain Volume", numeric: true },
+    { key: "difference", label: "Difference", numeric: true },
+    { key: "status", label: "Status", numeric: false },
+];
+
+// Dates are the backend's YYYY-MM-DD strings, so they compare as text
+export const filterResults = (results, filters) => {
+    const search = filters.search.trim().toLowerCase();
+    return results.filter((r) => {
+        if (filters.status && r.status !== filters.status) return false;
+        if (filters.cauldronId && r.cauldron_id !== filters.cauldronId) return false;
+        if (filters.from && r.date < filters.from) return false;
+        if (filters.to && r.date > filters.to) return false;
+        if (search && !RESULT_COLUMNS.some(({ key }) => String(r[key] ?? "").toLowerCase().includes(search))) return false;
+        return true;
+    });
+};
+
+// `sort` is { key, direction: "asc" | "desc" } or null for backend order; missing values sort last
+export const sortResults = (rows, sort) => {
+    if (!sort) return rows;
+    const column = RESULT_COLUMNS.find((c) => c.key === sort.key);
+    const sign = sort.direction === "desc" ? -1 : 1;
+    return rows
+        .map((row, index) => ({ row, index }))
+        .sort((a, b) => {
+            const x = a.row[sort.key];
+            const y = b.row[sort.key];
+            if (x == null || y == null) return x == null && y == null ? a.index - b.index : x == null ? 1 : -1;
+            const order = column?.numeric ? Number(x) - Number(y) : String(x).localeCompare(String(y));
+            return order * sign || a.index - b.index;
+        })
+        .map(({ row }) => row);
+};
+
+// Header clicks cycle ascending -> descending -> backend order
+export const nextSort = (sort, key) => {
+    if (!sort || sort.key !== key) return { key, direction: "asc" };
+    return sort.direction === "asc" ? { key, direction: "desc" } : null;
+};
+
+export const summarizeResults = (rows) => ({
+    total: rows.length,
+    matches: rows.filter((r) => r.status === "MATCH").length,
+    mismatches: rows.filter((r) => r.status === "MISMATCH").length,
+    missingTickets: rows.filter((r) => r.status === "TICKET_MISSING").length,
+    missingDrains: rows.filter((r) => r.status === "DRAIN_NOT_DETECTED").length,
+});
+
+const sum = (rows, key) => rows.reduce((total, r) => total + (Number(r[key]) || 0), 0);
+
+// Flat list of group headers (with subtotals) and, for expanded groups, their rows. Groups keep the order
+// in which their cauldron first appears, so sorting still decides which groups come first.
+export const groupByCauldron = (rows, collapsed = new Set()) => {
+    const groups = new Map();
+    rows.forEach((r) => {
+        if (!groups.has(r.cauldron_id)) groups.set(r.cauldron_id, []);
+        groups.get(r.cauldron_id).push(r);
+    });
+    return [...groups.entries()].flatMap(([cauldronId, groupRows]) => {
+        const header = {
+            type: "group",
+            cauldronId,
+            count: groupRows.length,
+            ticketAmount: sum(groupRows, "ticket_amount"),
+            drainVolume: sum(groupRows, "drain_volume"),
+            difference: sum(groupRows, "difference"),
+            flagged: groupRows.filter((r) => r.status !== "MATCH" && r.status !== "NO_DATA").length,
+            collapsed: collapsed.has(cauldronId),
+        };
+        if (header.collapsed) return [header];
+        return [header, ...groupRows.map((row) => ({ type: "row", row }))];
+    });
+};
+
+// Human-readable description of the active filters for export metadata; empty when nothing is filtered
+export const describeFilters = (filters) =>
+    [
+        filters.status && `status = ${filters.status}`,
+        filters.cauldronId && `cauldron = ${filters.cauldronId}`,
+        filters.from && `date >= ${filters.from}`,
+        filters.to && `date <= ${filters.to}`,
+        filters.search.trim() && `search "${filters.search.trim()}"`,
+    ]
+        .filter(Boolean)
+        .join(", ");
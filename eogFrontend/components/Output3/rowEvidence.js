@@ -0,0 +1,51 @@
+// Evidence behind one /compare row: the cauldron's levels around that UTC day, the drains detected on it
+// with the run's parameters, and the tickets the backend summed for it.
+
+import { detectDrainEventsByDay, groupLevelsByCauldron, utcDateKey } from "../shared/drainDetection";
+import { matchTicketsToDrains } from "../shared/ticketMatching";
+
+const DAY_SECONDS = 24 * 3600;
+// Context shown on each side of the day; detection still only sees the day itself, like the backend
+export const CONTEXT_HOURS = 3;
+
+export const rowWindow = (date) => {
+    const dayStart = Date.parse(`${date}T00:00:00Z`) / 1000;
+    return {
+        dayStart,
+        dayEnd: dayStart + DAY_SECONDS - 1,
+        start: dayStart - CONTEXT_HOURS * 3600,
+        end: dayStart + DAY_SECONDS - 1 + CONTEXT_HOURS * 3600,
+    };
+};
+
+// The backend groups tickets by the date part of their timestamp
+const ticketDay = (ticket) => String(ticket.date).split("T")[0];
+
+export const buildRowEvidence = ({ row, history, tickets, couriers = [], params }) => {
+    const points = groupLevelsByCauldron(history)[row.cauldron_id] || [];
+    const dayPoints = points.filter((p) => utcDateKey(p.time) === row.date);
+    const drains = detectDrainEventsByDay(dayPoints, params).map((d) => ({ ...d, cauldronId: row.cauldron_id }));
+    const dayTickets = tickets.filter((t) => t.cauldron_id === row.cauldron_id && ticketDay(t) === row.date);
+
+    // Date-only tickets have no time of day; pairing them with drains tells where to mark them on the chart
+    const matching = matchTicketsToDrains({ tickets: dayTickets, drains, couriers });
+    const ticketMarkers = [
+        ...matching.matches.map((m) => ({ ticket: m.ticket, time: m.drain.endTime, drain: m.drain })),
+        ...matching.unmatchedTickets.map((u) => ({ ticket: u.ticket, time: u.ticket.time, drain: null })),
+    ];
+
+    const ticketTotal = dayTickets.reduce((sum, t) => sum + (Number(t.amount_collected) || 0), 0);
+    // The backend's drain_volume is the observed drop; drainedVolume also counts inflow during the drain
+    const observedTotal = drains.reduce((sum, d) => sum + d.observedDrop, 0);
+    const drainTotal = drains.reduce((sum, d) => sum + d.drainedVolume, 0);
+
+    return {
+        points,
+        drains,
+        tickets: dayTickets,
+        ticketMarkers,
+        ticketTotal,
+        observedTotal,
+        drainTotal,
+    };
+};
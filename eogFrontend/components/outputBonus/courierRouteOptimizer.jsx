@@ -1,6 +1,22 @@
 import React, { useState, useEffect } from 'react';
+import { FIT_WINDOW_HOURS, buildFillRateModels, formatMinutes } from './fillRateModel';
+import { DEFAULT_MARKET_ID, createTravelTimeTable } from '../shared/networkGraph';
+import { buildPickupJobs, solveRoutes } from './routeSolver';
+import { findMinimumFleet } from './fleetSizing';
+import { useDataClient, useStaleData } from '../shared/dataContext';
+import { mergeStale } from '../shared/apiClient';
+import StaleBadge from '../shared/StaleBadge';
+import { usePublishRoutePlan } from '../shared/routePlanContext';
+import { navigate, withQuery } from '../shared/router';
+import { fromDateTimeInput, toDateTimeInput, useTime } from '../shared/timeContext';
 
-const CourierRouteOptimizer = () => {
+// Responses the optimizer plans from, for the stale-data notice
+const OPTIMIZER_SOURCES = ['/Information/', '/Data', '/Tickets'];
+
+// datetime-local value ("YYYY-MM-DDTHH:mm") from a /routes?at= link, or '' when it isn't one
+const dispatchTimeFromLink = (at) => (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(at || '') ? at.slice(0, 16) : '');
+
+const CourierRouteOptimizer = ({ at }) => {
   const [metadata, setMetadata] = useState(null);
   const [historicalData, setHistoricalData] = useState([]);
   const [networkInfo, setNetworkInfo] = useState(null);
@@ -10,11 +26,22 @@ const CourierRouteOptimizer = () => {
   const [tickets, setTickets] = useState({ transport_tickets: [] });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [selectedDate, setSelectedDate] = useState('');
+  // "<Endpoint>: <message>" for every endpoint that failed with no earlier response to fall back on
+  const [endpointErrors, setEndpointErrors] = useState([]);
+  const staleSources = useStaleData(OPTIMIZER_SOURCES);
+  // The dispatch time is the app-wide instant; an ?at= link (read on mount) moves it
+  const clock = useTime();
+  const selectedDate = toDateTimeInput(clock.instant, clock.timeZone);
+  const [linkInstant] = useState(() => fromDateTimeInput(dispatchTimeFromLink(at), clock.timeZone));
   const [optimizationResult, setOptimizationResult] = useState(null);
-  const [debugInfo, setDebugInfo] = useState([]);
+  const api = useDataClient();
+  const publishRoutePlan = usePublishRoutePlan();
 
   const UNLOAD_TIME_MINUTES = 15;
+  const PREDICTION_HORIZON_HOURS = 24;
+  // Pessimistic time-to-full thresholds for dispatch priority
+  const HIGH_PRIORITY_MINUTES = 120;
+  const MEDIUM_PRIORITY_MINUTES = 360;
 
   const styles = {
     container: {
@@ -62,6 +89,17 @@ const CourierRouteOptimizer = () => {
       marginBottom: '24px',
       boxShadow: '0 20px 25px -5px rgba(0, 0, 0, 0.3)'
     },
+    staleCard: {
+      background: 'rgba(120, 53, 15, 0.4)',
+      border: '2px solid #f59e0b',
+      borderRadius: '12px',
+      padding: '12px 16px',
+      marginBottom: '24px',
+      display: 'flex',
+      alignItems: 'center',
+      flexWrap: 'wrap',
+      gap: '12px'
+    },
     errorCard: {
       background: 'rgba(127, 29, 29, 0.4)',
       border: '2px solid #ef4444',
@@ -138,72 +176,66 @@ const CourierRouteOptimizer = () => {
     }
   };
 
-  const addDebug = (message, data = null) => {
-    console.log(message, data);
-    setDebugInfo(prev => [...prev, { message, data, time: new Date().toISOString() }]);
-  };
-
   useEffect(() => {
     fetchAllData();
   }, []);
 
+  const { setInstant } = clock;
+  useEffect(() => {
+    setInstant(linkInstant);
+  }, [linkInstant, setInstant]);
+
+  // Keep /routes?at= in step with the picked dispatch time so the view can be linked
+  useEffect(() => {
+    navigate(withQuery('/routes', { at: selectedDate }), { replace: true });
+  }, [selectedDate]);
+
   const fetchAllData = async () => {
+    // `loading` starts true and only covers the first load; a retry keeps what is already on screen
     try {
-      setLoading(true);
       setError(null);
-      addDebug('Starting data fetch...');
 
       const endpoints = [
-        { url: '/api/Data/metadata', setter: setMetadata, name: 'Metadata' },
-        { url: '/api/Information/network', setter: setNetworkInfo, name: 'Network' },
-        { url: '/api/Information/market', setter: setMarketInfo, name: 'Market' },
-        { url: '/api/Information/couriers', setter: setCouriers, name: 'Couriers' },
-        { url: '/api/Information/cauldrons', setter: setCauldrons, name: 'Cauldrons' },
-        { url: '/api/Tickets', setter: setTickets, name: 'Tickets' }
+        { path: '/Data/metadata', setter: setMetadata, name: 'Metadata' },
+        { path: '/Information/network', setter: setNetworkInfo, name: 'Network' },
+        { path: '/Information/market', setter: setMarketInfo, name: 'Market' },
+        { path: '/Information/couriers', setter: setCouriers, name: 'Couriers' },
+        { path: '/Information/cauldrons', setter: setCauldrons, name: 'Cauldrons' },
+        { path: '/Tickets', setter: setTickets, name: 'Tickets' }
       ];
 
+      const failures = [];
       for (const endpoint of endpoints) {
         try {
-          const res = await fetch(endpoint.url);
-          if (!res.ok) throw new Error(`${endpoint.name} API returned ${res.status}`);
-          const data = await res.json();
+          const data = await api.get(endpoint.path);
           const processedData = Array.isArray(data) ? data : (data || {});
           endpoint.setter(processedData);
-          addDebug(`${endpoint.name} loaded`, processedData);
         } catch (err) {
-          addDebug(`${endpoint.name} fetch failed`, err.message);
+          failures.push(`${endpoint.name}: ${err.message}`);
         }
       }
+      setEndpointErrors(failures);
 
       setLoading(false);
-      addDebug('All data fetch complete');
     } catch (err) {
       setError(err.message);
       setLoading(false);
-      addDebug('Fatal error', err.message);
     }
   };
 
   const fetchHistoricalData = async () => {
-    if (!selectedDate) {
-      alert('Please select a date');
-      return;
-    }
-
     try {
-      const timestamp = Math.floor(new Date(selectedDate).getTime() / 1000);
-      
-      addDebug('Fetching historical data', { timestamp });
-      
-      const res = await fetch(`/api/Data?start_date=${timestamp}&end_date=${timestamp}`);
-      if (!res.ok) throw new Error(`Historical data API returned ${res.status}`);
+      const timestamp = clock.instant;
+      const fitStart = timestamp - FIT_WINDOW_HOURS * 3600;
       
-      const data = await res.json();
-      addDebug('Historical data loaded', data);
+      // Pull the fit window leading up to the selected time; its last reading is the snapshot
+      const data = await api.getLevels(fitStart, timestamp);
       
       let dataArray = [];
       if (Array.isArray(data) && data.length > 0) {
-        const latestDataPoint = data[0];
+        const latestDataPoint = data.reduce((latest, entry) =>
+          new Date(entry.timestamp) > new Date(latest.timestamp) ? entry : latest
+        );
         if (latestDataPoint.cauldron_levels) {
           Object.entries(latestDataPoint.cauldron_levels).forEach(([cauldronId, level]) => {
             dataArray.push({
@@ -224,67 +256,98 @@ const CourierRouteOptimizer = () => {
       }
       
       setHistoricalData(dataArray);
-      addDebug('Processed historical data', dataArray);
+
+      const fillRateModels = buildFillRateModels(Array.isArray(data) ? data : [data], cauldrons);
       
-      optimizeRoutes(dataArray);
+      optimizeRoutes(dataArray, fillRateModels);
     } catch (err) {
       setError(err.message);
-      addDebug('Historical data fetch failed', err.message);
     }
   };
 
-  const optimizeRoutes = (data) => {
+  const optimizeRoutes = (data, fillRateModels = {}) => {
     if (!couriers.length || !cauldrons.length) {
-      addDebug('Cannot optimize: missing couriers or cauldrons', { couriers: couriers.length, cauldrons: cauldrons.length });
       return;
     }
 
-    addDebug('Starting optimization', { couriers: couriers.length, cauldrons: cauldrons.length, dataPoints: data.length });
-
-    const totalCauldrons = cauldrons.length;
-    const avgCourierCapacity = couriers.reduce((sum, c) => sum + (c.max_carrying_capacity || 0), 0) / couriers.length;
-    const minWitches = Math.max(1, Math.ceil(totalCauldrons * 1.2 / Math.max(1, avgCourierCapacity)));
+    const predictions = predictFillLevels(data, fillRateModels);
+    const travelTimes = createTravelTimeTable(networkInfo?.edges);
 
-    addDebug('Calculated min witches', { totalCauldrons, avgCourierCapacity, minWitches });
+    // Size the fleet against the fast end of each cauldron's fill-rate band
+    const fleetSizing = findMinimumFleet({
+      cauldrons: predictions.map(p => ({
+        cauldronId: p.cauldronId,
+        currentLevel: p.currentLevel,
+        ratePerMinute: p.fillRateHigh / 60,
+        maxVolume: p.maxVolume
+      })),
+      capacities: couriers.map(c => c.max_carrying_capacity || 50),
+      travelTimes,
+      depot: marketInfo?.id || DEFAULT_MARKET_ID,
+      unloadMinutes: UNLOAD_TIME_MINUTES,
+      horizonMinutes: PREDICTION_HORIZON_HOURS * 60
+    });
+    const minWitches = fleetSizing.minWitches;
 
-    const predictions = predictFillLevels(data);
-    const routes = generateRoutes(predictions);
+    const plan = generateRoutes(predictions, travelTimes);
+    const routes = plan.routes;
 
     const result = {
       minWitches,
+      fleetSizing,
       predictions,
       routes,
+      totalCost: plan.totalCost,
+      violations: plan.violations,
+      skipped: plan.skipped,
       efficiency: calculateEfficiency(routes),
-      totalUnloadTime: routes.length * UNLOAD_TIME_MINUTES
+      totalUnloadTime: routes.reduce((sum, r) => sum + r.trips, 0) * UNLOAD_TIME_MINUTES
     };
 
     setOptimizationResult(result);
-    addDebug('Optimization complete', result);
+    // The network map draws the latest plan
+    publishRoutePlan({
+      routes,
+      depot: marketInfo?.id || DEFAULT_MARKET_ID,
+      unloadMinutes: UNLOAD_TIME_MINUTES,
+      dispatchedAt: selectedDate,
+      generatedAt: Date.now()
+    });
   };
 
-  const predictFillLevels = (data) => {
+  const predictFillLevels = (data, fillRateModels) => {
     return cauldrons.map(cauldron => {
       const cauldronData = data.find(d => d.cauldron_id === cauldron.id);
+      const model = fillRateModels[cauldron.id];
+      const maxVolume = cauldron.max_volume || 100;
       
       let currentLevel = 0;
       let predictedLevel = 0;
       let fillRate = 0;
+      let fillRateLow = 0;
+      let fillRateHigh = 0;
+      let timeToFull = Infinity;
+      let timeToFullLow = Infinity;
+      let timeToFullHigh = Infinity;
       
       if (cauldronData) {
         // Use the actual level from the selected date
         currentLevel = cauldronData.level || 0;
-        // Simple prediction: assume 50% increase in next 24 hours
-        fillRate = currentLevel * 0.02; // Approximate fill rate per hour
-        predictedLevel = Math.min(cauldron.max_volume || 100, Math.max(0, currentLevel + fillRate * 24));
-      } else {
-        // No data available for this cauldron on selected date
-        currentLevel = 0;
-        predictedLevel = 0;
+        if (model) {
+          // Rates are fitted per minute on the non-drain part of the history window
+          fillRate = model.ratePerMinute * 60;
+          fillRateLow = model.rateLow * 60;
+          fillRateHigh = model.rateHigh * 60;
+          timeToFull = model.timeToFull;
+          timeToFullLow = model.timeToFullLow;
+          timeToFullHigh = model.timeToFullHigh;
+        }
+        predictedLevel = Math.min(maxVolume, Math.max(0, currentLevel + fillRate * PREDICTION_HORIZON_HOURS));
       }
       
-      const maxVolume = cauldron.max_volume || 100;
       const fillPercentage = currentLevel / maxVolume;
-      const riskOfOverflow = fillPercentage > 0.85;
+      const riskOfOverflow = timeToFullLow <= HIGH_PRIORITY_MINUTES;
+      const priority = riskOfOverflow ? 'HIGH' : (timeToFullLow <= MEDIUM_PRIORITY_MINUTES ? 'MEDIUM' : 'LOW');
       
       return {
         cauldronId: cauldron.id,
@@ -295,109 +358,113 @@ const CourierRouteOptimizer = () => {
         predictedLevel,
         maxVolume,
         fillRate,
+        fillRateLow,
+        fillRateHigh,
+        timeToFull,
+        timeToFullLow,
+        timeToFullHigh,
+        fitSamples: model?.samples || 0,
+        reliableFit: Boolean(model?.reliable),
         fillPercentage,
-        riskOfOverflow
+        riskOfOverflow,
+        priority
       };
     });
   };
 
-  const generateRoutes = (predictions) => {
+  const generateRoutes = (predictions, travelTimes) => {
+    const emptyPlan = { routes: [], totalCost: 0, violations: [], skipped: [], moves: null };
     if (!predictions.length || !couriers.length) {
-      addDebug('Cannot generate routes', { predictions: predictions.length, couriers: couriers.length });
-      return [];
+      return emptyPlan;
     }
 
-    const routes = [];
-    
-    const highPriority = predictions.filter(p => p.riskOfOverflow || p.fillPercentage > 0.8);
-    const mediumPriority = predictions.filter(p => !p.riskOfOverflow && p.fillPercentage > 0.5 && p.fillPercentage <= 0.8);
-    const lowPriority = predictions.filter(p => p.fillPercentage <= 0.5 && p.predictedLevel > 0);
-    
-    addDebug('Route generation priorities', { 
-      high: highPriority.length, 
-      medium: mediumPriority.length,
-      low: lowPriority.length,
-      totalCouriers: couriers.length 
-    });
+    const marketId = marketInfo?.id || DEFAULT_MARKET_ID;
+    const horizonMinutes = PREDICTION_HORIZON_HOURS * 60;
+    const vehicles = couriers.map((courier, idx) => ({
+      id: courier.courier_id || `courier_${idx}`,
+      name: courier.name || `Courier ${idx + 1}`,
+      capacity: courier.max_carrying_capacity || 50
+    }));
 
-    const allCauldrons = [...highPriority, ...mediumPriority, ...lowPriority];
-    let cauldronIndex = 0;
-
-    couriers.forEach((courier, idx) => {
-      const route = {
-        courierId: courier.courier_id || `courier_${idx}`,
-        courierName: courier.name || `Courier ${idx + 1}`,
-        stops: [],
-        totalDistance: 0,
-        totalVolume: 0,
-        totalTravelTime: 0
-      };
+    // Only cauldrons that can overflow inside the planning horizon get a pickup; the deadline is the
+    // pessimistic end of the time-to-full band
+    const due = predictions.filter(p => p.currentLevel > 0 && p.timeToFullLow <= horizonMinutes);
+    const skipped = predictions.filter(p => !due.includes(p)).map(p => p.cauldronId);
+    const jobs = buildPickupJobs(
+      due.map(p => ({ cauldronId: p.cauldronId, volume: p.currentLevel, deadline: p.timeToFullLow, prediction: p })),
+      Math.max(...vehicles.map(v => v.capacity))
+    );
 
-      let capacity = courier.max_carrying_capacity || 50;
-      
-      addDebug(`Building route for ${route.courierName}`, { capacity, startingCauldronIndex: cauldronIndex });
+    const solution = solveRoutes({
+      vehicles,
+      jobs,
+      depot: marketId,
+      travelTimes,
+      unloadMinutes: UNLOAD_TIME_MINUTES
+    });
 
-      while (capacity > 0 && cauldronIndex < allCauldrons.length) {
-        const pred = allCauldrons[cauldronIndex];
-        
-        if (pred.predictedLevel > 0) {
-          const pickupVolume = Math.min(capacity, pred.predictedLevel);
-          
-          const travelTime = networkInfo?.edges?.find(e => 
-            (e.from === pred.cauldronId || e.to === pred.cauldronId)
-          )?.travel_time_minutes || 10;
-          
-          route.stops.push({
+    const routes = solution.routes
+      .filter(route => route.stops.length > 0)
+      .map(route => ({
+        courierId: route.vehicleId,
+        courierName: route.vehicleName,
+        capacity: route.capacity,
+        trips: route.trips,
+        totalVolume: route.totalVolume,
+        totalTravelTime: route.duration,
+        cost: route.cost,
+        feasible: route.violations.length === 0,
+        violations: route.violations,
+        stops: route.stops.map(stop => {
+          if (stop.type === 'DELIVERY') {
+            return {
+              location: marketInfo?.name || 'Enchanted Market',
+              deliveryVolume: stop.volume,
+              type: 'DELIVERY',
+              unloadTime: UNLOAD_TIME_MINUTES,
+              travelTime: stop.travelTime,
+              path: stop.path,
+              eta: stop.arrival,
+              reachable: stop.reachable
+            };
+          }
+          const pred = stop.job.prediction;
+          return {
             cauldronId: pred.cauldronId,
-            name: pred.name,
-            pickupVolume,
+            name: stop.job.pieces > 1 ? `${pred.name} (load ${stop.job.piece}/${stop.job.pieces})` : pred.name,
+            pickupVolume: stop.job.volume,
             currentLevel: pred.currentLevel,
             predictedLevel: pred.predictedLevel,
             fillPercentage: pred.fillPercentage,
-            priority: pred.riskOfOverflow ? 'HIGH' : (pred.fillPercentage > 0.5 ? 'MEDIUM' : 'LOW'),
-            travelTime
-          });
-          
-          capacity -= pickupVolume;
-          route.totalVolume += pickupVolume;
-          route.totalTravelTime += travelTime;
-        }
-        
-        cauldronIndex++;
-      }
-
-      if (route.totalVolume > 0) {
-        route.stops.push({
-          location: marketInfo?.name || 'Enchanted Market',
-          deliveryVolume: route.totalVolume,
-          type: 'DELIVERY',
-          unloadTime: UNLOAD_TIME_MINUTES
-        });
-        
-        route.totalTravelTime += UNLOAD_TIME_MINUTES;
-        routes.push(route);
-        addDebug(`Route ${idx + 1} complete`, { stops: route.stops.length, volume: route.totalVolume });
-      }
-    });
+            priority: pred.priority,
+            travelTime: stop.travelTime,
+            path: stop.path,
+            eta: stop.arrival,
+            deadline: stop.job.deadline,
+            reachable: stop.reachable,
+            arrivesBeforeOverflow: stop.late <= 0
+          };
+        })
+      }));
 
-    addDebug('All routes generated', { totalRoutes: routes.length });
-    return routes;
+    return { routes, totalCost: solution.totalCost, violations: solution.violations, skipped, moves: solution.moves };
   };
 
   const calculateEfficiency = (routes) => {
     if (!routes.length) {
-      addDebug('No routes to calculate efficiency for');
       return { avgStopsPerRoute: '0', utilizationRate: '0', totalRoutes: 0 };
     }
 
     const totalStops = routes.reduce((sum, r) => sum + r.stops.length, 0);
     const avgStopsPerRoute = totalStops / routes.length;
     
-    const utilizationRate = routes.reduce((sum, r) => {
-      const courier = couriers.find(c => c.courier_id === r.courierId);
-      const maxCapacity = courier?.max_carrying_capacity || 50;
-      return sum + (r.totalVolume / maxCapacity);
-    }, 0) / routes.length;
+    // Utilization is measured per trip, since a courier may unload several times
+    const deliveries = routes.flatMap(r => r.stops
+      .filter(stop => stop.type === 'DELIVERY')
+      .map(stop => stop.deliveryVolume / r.capacity));
+    const utilizationRate = deliveries.length
+      ? deliveries.reduce((sum, u) => sum + u, 0) / deliveries.length
+      : 0;
 
     const result = {
       avgStopsPerRoute: avgStopsPerRoute.toFixed(1),
@@ -405,10 +472,11 @@ const CourierRouteOptimizer = () => {
       totalRoutes: routes.length
     };
 
-    addDebug('Efficiency calculated', result);
     return result;
   };
 
+  const stale = mergeStale(staleSources, endpointErrors.length ? { since: null, errors: endpointErrors } : null);
+
   if (loading) {
     return (
       <div style={styles.loadingContainer}>
@@ -435,6 +503,13 @@ const CourierRouteOptimizer = () => {
           </div>
         </div>
 
+        {stale && (
+          <div style={styles.staleCard}>
+            <StaleBadge stale={stale} timeZone={clock.timeZone} onRetry={fetchAllData} />
+            <div style={{ color: '#fcd34d', fontSize: '13px' }}>{stale.errors.join(' · ')}</div>
+          </div>
+        )}
+
         {error && (
           <div style={styles.errorCard}>
             <span style={{ fontSize: '32px' }}>⚠️</span>
@@ -456,7 +531,7 @@ const CourierRouteOptimizer = () => {
               <input
                 type="datetime-local"
                 value={selectedDate}
-                onChange={(e) => setSelectedDate(e.target.value)}
+                onChange={(e) => clock.setInstant(fromDateTimeInput(e.target.value, clock.timeZone))}
                 style={styles.input}
               />
             </div>
@@ -535,8 +610,12 @@ const CourierRouteOptimizer = () => {
               <div style={styles.grid}>
                 <div style={{ background: 'linear-gradient(to bottom right, rgba(147, 51, 234, 0.4), rgba(126, 34, 206, 0.3))', borderRadius: '12px', padding: '20px', border: '1px solid rgba(196, 181, 253, 0.3)' }}>
                   <div style={{ color: '#ddd6fe', fontSize: '14px', fontWeight: '500', marginBottom: '4px' }}>Minimum Witches</div>
-                  <div style={{ fontSize: '36px', fontWeight: 'bold', color: 'white', marginBottom: '4px' }}>{optimizationResult.minWitches}</div>
-                  <div style={{ color: '#c4b5fd', fontSize: '12px' }}>Required for operation</div>
+                  <div style={{ fontSize: '36px', fontWeight: 'bold', color: 'white', marginBottom: '4px' }}>{optimizationResult.minWitches ?? '—'}</div>
+                  <div style={{ color: '#c4b5fd', fontSize: '12px' }}>
+                    {optimizationResult.minWitches === null
+                      ? `No fleet up to ${optimizationResult.fleetSizing.attempts.at(-1)?.fleetSize ?? 0} avoids overflow`
+                      : `Simulated over ${PREDICTION_HORIZON_HOURS}h • lower bound ${optimizationResult.fleetSizing.lowerBound}`}
+                  </div>
                 </div>
                 <div style={{ background: 'linear-gradient(to bottom right, rgba(37, 99, 235, 0.4), rgba(29, 78, 216, 0.3))', borderRadius: '12px', padding: '20px', border: '1px solid rgba(147, 197, 253, 0.3)' }}>
                   <div style={{ color: '#bfdbfe', fontSize: '14px', fontWeight: '500', marginBottom: '4px' }}>Avg Stops Per Route</div>
@@ -553,7 +632,54 @@ const CourierRouteOptimizer = () => {
                   <div style={{ fontSize: '36px', fontWeight: 'bold', color: 'white', marginBottom: '4px' }}>{optimizationResult.totalUnloadTime}</div>
                   <div style={{ color: '#fcd34d', fontSize: '12px' }}>Minutes at market</div>
                 </div>
+                <div style={{ background: 'linear-gradient(to bottom right, rgba(219, 39, 119, 0.4), rgba(190, 24, 93, 0.3))', borderRadius: '12px', padding: '20px', border: '1px solid rgba(249, 168, 212, 0.3)' }}>
+                  <div style={{ color: '#fbcfe8', fontSize: '14px', fontWeight: '500', marginBottom: '4px' }}>Plan Cost</div>
+                  <div style={{ fontSize: '36px', fontWeight: 'bold', color: 'white', marginBottom: '4px' }}>{Math.round(optimizationResult.totalCost).toLocaleString()}</div>
+                  <div style={{ color: '#f9a8d4', fontSize: '12px' }}>
+                    {optimizationResult.violations.length === 0 ? 'All constraints met' : `${optimizationResult.violations.length} constraint violations`}
+                  </div>
+                </div>
               </div>
+              {(optimizationResult.fleetSizing.binding.length > 0 || optimizationResult.fleetSizing.unreachable.length > 0 || optimizationResult.fleetSizing.alreadyFull.length > 0) && (
+                <div style={{ background: 'rgba(88, 28, 135, 0.4)', border: '1px solid rgba(196, 181, 253, 0.4)', borderRadius: '12px', padding: '16px', marginBottom: '16px' }}>
+                  <div style={{ color: '#ddd6fe', fontWeight: '600', marginBottom: '8px' }}>
+                    🧙‍♀️ Binding Cauldrons{optimizationResult.minWitches > 1 && ` (overflow with ${optimizationResult.minWitches - 1} couriers)`}
+                  </div>
+                  {optimizationResult.fleetSizing.binding.map(b => (
+                    <div key={b.cauldronId} style={{ color: '#e9d5ff', fontSize: '14px', marginBottom: '4px' }}>
+                      {cauldrons.find(c => c.id === b.cauldronId)?.name || b.cauldronId} overflows after {formatMinutes(b.overflowAt)}
+                    </div>
+                  ))}
+                  {optimizationResult.fleetSizing.unreachable.map(id => (
+                    <div key={id} style={{ color: '#fca5a5', fontSize: '14px', marginBottom: '4px' }}>
+                      {cauldrons.find(c => c.id === id)?.name || id} has no round trip to the market and was left out of the simulation
+                    </div>
+                  ))}
+                  {optimizationResult.fleetSizing.alreadyFull.map(id => (
+                    <div key={`full-${id}`} style={{ color: '#fcd34d', fontSize: '14px', marginBottom: '4px' }}>
+                      {cauldrons.find(c => c.id === id)?.name || id} is already full and is emptied first
+                    </div>
+                  ))}
+                </div>
+              )}
+              {optimizationResult.violations.length > 0 && (
+                <div style={{ background: 'rgba(127, 29, 29, 0.4)', border: '1px solid rgba(248, 113, 113, 0.5)', borderRadius: '12px', padding: '16px' }}>
+                  <div style={{ color: '#fecaca', fontWeight: '600', marginBottom: '8px' }}>⚠️ Constraint Violations</div>
+                  {optimizationResult.violations.map((v, idx) => (
+                    <div key={idx} style={{ color: '#fca5a5', fontSize: '14px', marginBottom: '4px' }}>
+                      {v.type === 'LATE' && `${v.vehicleId} reaches ${v.cauldronId} ${v.minutesLate.toFixed(0)} min after it may overflow`}
+                      {v.type === 'CAPACITY' && `${v.vehicleId} cannot carry ${v.volume.toFixed(1)}L from ${v.cauldronId} (capacity ${v.capacity}L)`}
+                      {v.type === 'UNREACHABLE' && `${v.vehicleId} has no network path from ${v.from} to ${v.to}`}
+                      {v.type === 'UNASSIGNED' && `${v.cauldronId} could not be assigned to any courier`}
+                    </div>
+                  ))}
+                </div>
+              )}
+              {optimizationResult.skipped.length > 0 && (
+                <div style={{ color: '#c4b5fd', fontSize: '13px', marginTop: '12px' }}>
+                  Not due within {PREDICTION_HORIZON_HOURS}h, no pickup scheduled: {optimizationResult.skipped.join(', ')}
+                </div>
+              )}
             </div>
 
             <div style={styles.card}>
@@ -565,19 +691,19 @@ const CourierRouteOptimizer = () => {
                 {optimizationResult.predictions.map((pred, idx) => {
                   const cardBg = pred.riskOfOverflow 
                     ? 'linear-gradient(to bottom right, rgba(127, 29, 29, 0.6), rgba(153, 27, 27, 0.4))'
-                    : pred.fillPercentage > 0.5
+                    : pred.priority === 'MEDIUM'
                     ? 'linear-gradient(to bottom right, rgba(113, 63, 18, 0.6), rgba(133, 77, 14, 0.4))'
                     : 'linear-gradient(to bottom right, rgba(30, 41, 59, 0.6), rgba(51, 65, 85, 0.4))';
                   
                   const borderColor = pred.riskOfOverflow 
                     ? 'rgba(248, 113, 113, 0.5)'
-                    : pred.fillPercentage > 0.5
+                    : pred.priority === 'MEDIUM'
                     ? 'rgba(251, 191, 36, 0.5)'
                     : 'rgba(100, 116, 139, 0.5)';
 
                   const progressBg = pred.riskOfOverflow 
                     ? 'linear-gradient(to right, #dc2626, #ef4444)'
-                    : pred.fillPercentage > 0.5
+                    : pred.priority === 'MEDIUM'
                     ? 'linear-gradient(to right, #ca8a04, #eab308)'
                     : 'linear-gradient(to right, #16a34a, #22c55e)';
 
@@ -619,9 +745,25 @@ const CourierRouteOptimizer = () => {
                           <span style={{ color: 'white', fontFamily: 'monospace', fontWeight: '600' }}>{pred.maxVolume.toFixed(0)}L</span>
                         </div>
                         {pred.fillRate !== 0 && (
-                          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '14px' }}>
+                          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '14px', marginBottom: '8px' }}>
                             <span style={{ color: '#d1d5db' }}>Fill Rate:</span>
-                            <span style={{ color: 'white', fontFamily: 'monospace', fontWeight: '600' }}>{pred.fillRate.toFixed(2)}L/hr</span>
+                            <span style={{ color: 'white', fontFamily: 'monospace', fontWeight: '600' }}>
+                              {pred.fillRate.toFixed(2)}L/hr ±{((pred.fillRateHigh - pred.fillRateLow) / 2).toFixed(2)}
+                            </span>
+                          </div>
+                        )}
+                        <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '14px' }}>
+                          <span style={{ color: '#d1d5db' }}>Full In:</span>
+                          <span style={{ color: 'white', fontFamily: 'monospace', fontWeight: '600' }}>
+                            {formatMinutes(pred.timeToFull)}
+                            {pred.timeToFull !== Infinity && (
+                              <span style={{ color: '#9ca3af', fontWeight: 'normal' }}> ({formatMinutes(pred.timeToFullLow)}–{formatMinutes(pred.timeToFullHigh)})</span>
+                            )}
+                          </span>
+                        </div>
+                        {!pred.reliableFit && (
+                          <div style={{ color: '#fcd34d', fontSize: '12px', marginTop: '6px' }}>
+                            ⚠️ Only {pred.fitSamples} non-drain readings in the last {FIT_WINDOW_HOURS}h; estimate is rough
                           </div>
                         )}
                       </div>
@@ -650,6 +792,11 @@ const CourierRouteOptimizer = () => {
                 <span style={{ fontSize: '32px' }}>🧹</span>
                 <span>Optimized Courier Routes</span>
               </div>
+              {optimizationResult.routes.length > 0 && (
+                <div style={{ color: '#c4b5fd', fontSize: '14px', marginBottom: '16px' }}>
+                  🗺️ These routes are also drawn on the Potion Network map.
+                </div>
+              )}
               {optimizationResult.routes.length === 0 ? (
                 <div style={{ textAlign: 'center', padding: '48px 0', background: 'rgba(30, 41, 59, 0.4)', borderRadius: '12px', border: '1px solid rgba(71, 85, 105, 0.3)' }}>
                   <div style={{ fontSize: '64px', marginBottom: '16px' }}>🤷‍♀️</div>
@@ -678,8 +825,10 @@ const CourierRouteOptimizer = () => {
                           </div>
                           <div style={{ display: 'flex', gap: '16px', fontSize: '14px', color: '#ddd6fe', marginTop: '8px', flexWrap: 'wrap' }}>
                             <span>📦 Volume: {route.totalVolume.toFixed(1)}L</span>
-                            <span>⏱️ Travel Time: {route.totalTravelTime} min</span>
+                            <span>⏱️ Travel Time: {Number.isFinite(route.totalTravelTime) ? `${route.totalTravelTime} min` : 'unreachable'}</span>
                             <span>📍 Stops: {route.stops.length}</span>
+                            <span>🔁 Market Trips: {route.trips}</span>
+                            {!route.feasible && <span style={{ color: '#fca5a5', fontWeight: '600' }}>⚠️ Misses an overflow deadline</span>}
                           </div>
                         </div>
                         <div style={{ textAlign: 'right', background: 'rgba(147, 51, 234, 0.3)', borderRadius: '8px', padding: '12px 16px' }}>
@@ -803,9 +952,21 @@ const CourierRouteOptimizer = () => {
                                     ? `↑ ${stop.pickupVolume.toFixed(1)}L` 
                                     : `↓ ${stop.deliveryVolume.toFixed(1)}L`}
                                 </div>
-                                {stop.travelTime && (
-                                  <div style={{ color: '#d1d5db', fontSize: '14px', marginTop: '4px' }}>
-                                    🧹 {stop.travelTime} min travel
+                                {stop.travelTime !== undefined && (
+                                  <div style={{ color: stop.reachable ? '#d1d5db' : '#fca5a5', fontSize: '14px', marginTop: '4px' }}>
+                                    {stop.reachable
+                                      ? `🧹 ${stop.travelTime} min travel • ETA +${stop.eta} min`
+                                      : '🚫 No network path'}
+                                  </div>
+                                )}
+                                {stop.path?.length > 2 && (
+                                  <div style={{ color: '#9ca3af', fontSize: '12px', marginTop: '2px' }}>
+                                    via {stop.path.slice(1, -1).join(' → ')}
+                                  </div>
+                                )}
+                                {stop.reachable && stop.arrivesBeforeOverflow === false && (
+                                  <div style={{ color: '#fca5a5', fontSize: '12px', marginTop: '2px' }}>
+                                    ⚠️ May overflow before arrival
                                   </div>
                                 )}
                               </div>
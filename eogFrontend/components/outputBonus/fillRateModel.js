@@ -0,0 +1,98 @@
+// Per-cauldron fill-rate estimation from recent /api/Data history.
+// Drain minutes are dropped before fitting so collections don't drag the rate down.
+import { drainThreshold, groupLevelsByCauldron } from '../shared/drainDetection';
+
+export const FIT_WINDOW_HOURS = 12;
+const DRAIN_STD_MULTIPLIER = 3.0;
+const DRAIN_PADDING_SAMPLES = 2;
+const MIN_FIT_SAMPLES = 10;
+const Z_95 = 1.96;
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const stdDev = (values, avg = mean(values)) => {
+  if (values.length < 2) return 0;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+};
+
+const flagDrainIntervals = (slopes) => {
+  const threshold = drainThreshold(slopes, DRAIN_STD_MULTIPLIER);
+  const flags = slopes.map(s => s < threshold);
+  // Pad each drain so the partial minutes on either side don't leak into the fit
+  const padded = [...flags];
+  flags.forEach((isDrain, i) => {
+    if (!isDrain) return;
+    for (let j = Math.max(0, i - DRAIN_PADDING_SAMPLES); j <= Math.min(flags.length - 1, i + DRAIN_PADDING_SAMPLES); j++) {
+      padded[j] = true;
+    }
+  });
+  return padded;
+};
+
+export const estimateFillRate = (points) => {
+  const empty = { ratePerMinute: 0, rateLow: 0, rateHigh: 0, samples: 0, excludedSamples: 0, reliable: false };
+  if (!points || points.length < 2) return empty;
+
+  const slopes = [];
+  for (let i = 1; i < points.length; i++) {
+    const minutes = (points[i].time - points[i - 1].time) / 60000;
+    if (minutes <= 0) continue;
+    slopes.push((points[i].level - points[i - 1].level) / minutes);
+  }
+  if (!slopes.length) return empty;
+
+  const drainFlags = flagDrainIntervals(slopes);
+  const fitSlopes = slopes.filter((_, i) => !drainFlags[i]);
+  if (!fitSlopes.length) return { ...empty, excludedSamples: slopes.length };
+
+  const rate = Math.max(0, mean(fitSlopes));
+  const margin = Z_95 * stdDev(fitSlopes) / Math.sqrt(fitSlopes.length);
+
+  return {
+    ratePerMinute: rate,
+    rateLow: Math.max(0, rate - margin),
+    rateHigh: rate + margin,
+    samples: fitSlopes.length,
+    excludedSamples: slopes.length - fitSlopes.length,
+    reliable: fitSlopes.length >= MIN_FIT_SAMPLES
+  };
+};
+
+// Minutes until the cauldron reaches maxVolume; Infinity when it isn't filling
+export const minutesToFull = (currentLevel, maxVolume, ratePerMinute) => {
+  const headroom = maxVolume - currentLevel;
+  if (headroom <= 0) return 0;
+  if (ratePerMinute <= 0) return Infinity;
+  return headroom / ratePerMinute;
+};
+
+export const buildFillRateModels = (history, cauldrons) => {
+  const series = groupLevelsByCauldron(history);
+  const models = {};
+  cauldrons.forEach(cauldron => {
+    const points = series[cauldron.id] || [];
+    const fit = estimateFillRate(points);
+    const latest = points[points.length - 1];
+    const currentLevel = latest ? latest.level : 0;
+    const maxVolume = cauldron.max_volume || 100;
+    models[cauldron.id] = {
+      ...fit,
+      currentLevel,
+      lastReadingTime: latest ? latest.time : null,
+      timeToFull: minutesToFull(currentLevel, maxVolume, fit.ratePerMinute),
+      // The fast end of the band fills soonest, so it bounds time-to-full from below
+      timeToFullLow: minutesToFull(currentLevel, maxVolume, fit.rateHigh),
+      timeToFullHigh: minutesToFull(currentLevel, maxVolume, fit.rateLow)
+    };
+  });
+  return models;
+};
+
+export const formatMinutes = (minutes) => {
+  if (minutes === Infinity) return 'never';
+  if (minutes <= 0) return 'now';
+  const total = Math.round(minutes);
+  const hours = Math.floor(total / 60);
+  const mins = total % 60;
+  return hours > 0 ? `${hours}h ${mins}m` : `${mins}m`;
+};
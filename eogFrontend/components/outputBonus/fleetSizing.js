@@ -0,0 +1,161 @@
+// Minimum courier count by simulation.
+//
+// For each candidate fleet size the cauldrons fill at their pessimistic fitted rate over the planning
+// horizon while an event-driven dispatcher sends free couriers from the market to whichever cauldrons
+// are closest to overflowing. The first fleet size whose simulation keeps every cauldron below
+// max_volume is reported. A throughput lower bound (inflow vs. what a courier can haul per round trip)
+// is used as the starting point, so sizes that cannot work on volume alone are never simulated.
+// A cauldron that is already at max_volume is due at once: its spill up to the first pickup is a given,
+// not a shortfall of the fleet, but it still has to be emptied within the horizon and kept below after.
+
+const DEFAULT_LOOKAHEAD_MINUTES = 60;
+const MAX_STOPS_PER_TRIP = 4;
+const MIN_PICKUP_LITERS = 1;
+
+// Courier capacities for a fleet of `size`: the roster's largest couriers first, then repeating it
+const fleetCapacities = (capacities, size) => {
+  const sorted = [...capacities].sort((a, b) => b - a);
+  return Array.from({ length: size }, (_, i) => sorted[i % sorted.length]);
+};
+
+// Necessary condition: every cauldron's inflow must be hauled away at least as fast as it arrives
+export const throughputLowerBound = ({ cauldrons, capacities, travelTimes, depot, unloadMinutes }) => {
+  const capacity = Math.max(...capacities);
+  const courierLoad = cauldrons.reduce((sum, c) => {
+    const cycle = travelTimes.travelTime(depot, c.cauldronId) + travelTimes.travelTime(c.cauldronId, depot) + unloadMinutes;
+    return Number.isFinite(cycle) ? sum + (c.ratePerMinute * cycle) / capacity : sum;
+  }, 0);
+  return Math.max(1, Math.ceil(courierLoad - 1e-9));
+};
+
+export const simulateFleet = ({ fleetSize, cauldrons, capacities, travelTimes, depot, unloadMinutes, horizonMinutes, lookaheadMinutes = DEFAULT_LOOKAHEAD_MINUTES }) => {
+  // Each cauldron's level is tracked from its last service: level(t) = levelAfter + rate * (t - lastService).
+  // `alreadyFull` holds until the first pickup at a cauldron that started at or above max_volume.
+  const state = {};
+  cauldrons.forEach(c => {
+    state[c.cauldronId] = {
+      lastService: 0,
+      levelAfter: c.currentLevel,
+      rate: c.ratePerMinute,
+      maxVolume: c.maxVolume,
+      alreadyFull: c.currentLevel >= c.maxVolume
+    };
+  });
+  const overflowTime = (id) => {
+    const s = state[id];
+    if (s.levelAfter >= s.maxVolume) return s.lastService;
+    return s.rate > 0 ? s.lastService + (s.maxVolume - s.levelAfter) / s.rate : Infinity;
+  };
+  const levelAt = (id, time) => {
+    const s = state[id];
+    return s.levelAfter + s.rate * Math.max(0, time - s.lastService);
+  };
+
+  const couriers = fleetCapacities(capacities, fleetSize).map(capacity => ({ capacity, freeAt: 0 }));
+  const overflows = {};
+  let trips = 0;
+
+  const recordOverflow = (id, time) => {
+    if (overflows[id] === undefined || time < overflows[id]) overflows[id] = time;
+  };
+
+  // Minutes to spare if a courier leaves `from` at `time` for this cauldron
+  const slack = (id, from, time) => overflowTime(id) - (time + travelTimes.travelTime(from, id));
+
+  while (true) {
+    const courier = couriers.reduce((a, b) => (b.freeAt < a.freeAt ? b : a));
+    const now = courier.freeAt;
+    if (now >= horizonMinutes) break;
+
+    const urgent = cauldrons
+      .map(c => c.cauldronId)
+      .filter(id => state[id].lastService <= now && slack(id, depot, now) <= lookaheadMinutes)
+      .sort((a, b) => slack(a, depot, now) - slack(b, depot, now));
+
+    if (!urgent.length) {
+      // Idle until the next cauldron enters the lookahead window
+      const nextDue = Math.min(...cauldrons.map(c => slack(c.cauldronId, depot, now) - lookaheadMinutes + now));
+      courier.freeAt = Math.max(now + 1, Number.isFinite(nextDue) ? nextDue : horizonMinutes);
+      continue;
+    }
+
+    let time = now;
+    let location = depot;
+    let remaining = courier.capacity;
+    const visited = new Set();
+    for (let stop = 0; stop < MAX_STOPS_PER_TRIP && remaining >= MIN_PICKUP_LITERS; stop++) {
+      const candidates = urgent
+        .filter(id => !visited.has(id))
+        .sort((a, b) => slack(a, location, time) - slack(b, location, time));
+      if (!candidates.length) break;
+      const id = candidates[0];
+      time += travelTimes.travelTime(location, id);
+      const level = levelAt(id, time);
+      if (level > state[id].maxVolume && !state[id].alreadyFull) recordOverflow(id, overflowTime(id));
+      const pickup = Math.min(remaining, Math.min(level, state[id].maxVolume));
+      state[id] = { ...state[id], lastService: time, levelAfter: Math.min(level, state[id].maxVolume) - pickup, alreadyFull: false };
+      remaining -= pickup;
+      visited.add(id);
+      location = id;
+    }
+    time += travelTimes.travelTime(location, depot) + unloadMinutes;
+    courier.freeAt = Math.max(time, now + 1);
+    trips++;
+  }
+
+  // Anything not served in time overflows before the end of the horizon; an already-full cauldron that
+  // was never reached counts from the start
+  cauldrons.forEach(c => {
+    const at = overflowTime(c.cauldronId);
+    if (at < horizonMinutes) recordOverflow(c.cauldronId, at);
+  });
+
+  const overflowList = Object.entries(overflows)
+    .map(([cauldronId, at]) => ({ cauldronId, overflowAt: at }))
+    .sort((a, b) => a.overflowAt - b.overflowAt);
+
+  return { fleetSize, feasible: overflowList.length === 0, overflows: overflowList, trips };
+};
+
+// `cauldrons` are { cauldronId, currentLevel, ratePerMinute, maxVolume }
+export const findMinimumFleet = ({ cauldrons, capacities, travelTimes, depot, unloadMinutes = 15, horizonMinutes, maxFleetSize }) => {
+  const reachable = cauldrons.filter(c =>
+    Number.isFinite(travelTimes.travelTime(depot, c.cauldronId)) && Number.isFinite(travelTimes.travelTime(c.cauldronId, depot))
+  );
+  const unreachable = cauldrons.filter(c => !reachable.includes(c)).map(c => c.cauldronId);
+  const alreadyFull = reachable.filter(c => c.currentLevel >= c.maxVolume).map(c => c.cauldronId);
+  const params = { cauldrons: reachable, capacities, travelTimes, depot, unloadMinutes, horizonMinutes };
+
+  const lowerBound = throughputLowerBound(params);
+  const limit = maxFleetSize || Math.max(lowerBound, cauldrons.length) * 2;
+  const attempts = [];
+
+  let minimum = null;
+  for (let size = lowerBound; size <= limit; size++) {
+    const result = simulateFleet({ ...params, fleetSize: size });
+    attempts.push(result);
+    if (result.feasible) {
+      minimum = result;
+      break;
+    }
+  }
+
+  // The cauldrons that overflow with one courier fewer are the ones that set the fleet size
+  let binding = [];
+  if (minimum && minimum.fleetSize > 1) {
+    const previous = attempts.find(a => a.fleetSize === minimum.fleetSize - 1) || simulateFleet({ ...params, fleetSize: minimum.fleetSize - 1 });
+    binding = previous.overflows;
+  } else if (!minimum && attempts.length) {
+    binding = attempts[attempts.length - 1].overflows;
+  }
+
+  return {
+    minWitches: minimum ? minimum.fleetSize : null,
+    lowerBound,
+    horizonMinutes,
+    binding,
+    unreachable,
+    alreadyFull,
+    attempts: attempts.map(({ fleetSize, feasible, overflows, trips }) => ({ fleetSize, feasible, overflowCount: overflows.length, trips }))
+  };
+};
@@ -0,0 +1,267 @@
+// Capacitated vehicle routing with time windows for courier dispatch.
+//
+// Every courier starts at the market at minute 0 and works through an ordered list of pickup jobs.
+// Whenever the next pickup would overflow the courier's capacity it returns to the market and
+// unloads first, so one courier's list can span several trips. Overflow deadlines are soft
+// constraints: lateness is penalized heavily and reported, never silently dropped.
+
+const LATE_PENALTY_PER_MINUTE = 1000;
+const CAPACITY_PENALTY_PER_LITER = 1000;
+const UNREACHABLE_PENALTY = 1e7;
+// Quadratic in route duration, so work spreads across couriers instead of one courier running every trip
+const BALANCE_WEIGHT = 1 / 480;
+const DEFAULT_MAX_MOVES = 200;
+const EPSILON = 1e-6;
+
+// Split each cauldron's demand into pickups no larger than the biggest courier can carry
+export const buildPickupJobs = (demands, maxCapacity) => {
+  const jobs = [];
+  demands.forEach(demand => {
+    if (!(demand.volume > 0)) return;
+    const pieces = maxCapacity > 0 ? Math.ceil(demand.volume / maxCapacity) : 1;
+    for (let k = 0; k < pieces; k++) {
+      jobs.push({
+        ...demand,
+        id: pieces > 1 ? `${demand.cauldronId}#${k + 1}` : demand.cauldronId,
+        volume: demand.volume / pieces,
+        piece: k + 1,
+        pieces
+      });
+    }
+  });
+  return jobs;
+};
+
+const evaluateSequence = (sequence, vehicle, ctx, withSchedule = false) => {
+  const { depot, travelTimes, unloadMinutes } = ctx;
+  const stops = [];
+  const violations = [];
+  let time = 0;
+  let load = 0;
+  let travel = 0;
+  let trips = 0;
+  let lateness = 0;
+  let excess = 0;
+  let unreachable = 0;
+  let location = depot;
+
+  const leg = (from, to) => {
+    const minutes = travelTimes.travelTime(from, to);
+    if (!Number.isFinite(minutes)) {
+      unreachable++;
+      if (withSchedule) violations.push({ type: 'UNREACHABLE', vehicleId: vehicle.id, from, to });
+      return { minutes: 0, reachable: false };
+    }
+    return { minutes, reachable: true };
+  };
+
+  const unload = () => {
+    const { minutes, reachable } = leg(location, depot);
+    travel += minutes;
+    time += minutes;
+    if (withSchedule) {
+      stops.push({ type: 'DELIVERY', nodeId: depot, travelTime: minutes, arrival: time, volume: load, reachable, path: travelTimes.path(location, depot) });
+    }
+    time += unloadMinutes;
+    trips++;
+    load = 0;
+    location = depot;
+  };
+
+  sequence.forEach(job => {
+    if (load > 0 && load + job.volume > vehicle.capacity + EPSILON) unload();
+    const { minutes, reachable } = leg(location, job.cauldronId);
+    travel += minutes;
+    time += minutes;
+    const late = Math.max(0, time - job.deadline);
+    lateness += late;
+    const over = Math.max(0, job.volume - vehicle.capacity);
+    excess += over;
+    if (withSchedule) {
+      stops.push({ type: 'PICKUP', job, travelTime: minutes, arrival: time, late, reachable, path: travelTimes.path(location, job.cauldronId) });
+      if (late > EPSILON) violations.push({ type: 'LATE', vehicleId: vehicle.id, jobId: job.id, cauldronId: job.cauldronId, deadline: job.deadline, arrival: time, minutesLate: late });
+      if (over > EPSILON) violations.push({ type: 'CAPACITY', vehicleId: vehicle.id, jobId: job.id, cauldronId: job.cauldronId, volume: job.volume, capacity: vehicle.capacity });
+    }
+    load += job.volume;
+    location = job.cauldronId;
+  });
+  if (sequence.length) unload();
+
+  const cost = time
+    + BALANCE_WEIGHT * time * time
+    + LATE_PENALTY_PER_MINUTE * lateness
+    + CAPACITY_PENALTY_PER_LITER * excess
+    + UNREACHABLE_PENALTY * unreachable;
+
+  return { cost, travel, duration: time, trips, lateness, excess, unreachable, stops, violations };
+};
+
+const construct = (jobs, vehicles, ctx) => {
+  const sequences = vehicles.map(() => []);
+  const costs = vehicles.map(() => 0);
+  // Earliest deadline first, larger pickups first among ties
+  const ordered = [...jobs].sort((a, b) => (a.deadline - b.deadline) || (b.volume - a.volume));
+
+  ordered.forEach(job => {
+    let best = null;
+    vehicles.forEach((vehicle, v) => {
+      for (let p = 0; p <= sequences[v].length; p++) {
+        const candidate = [...sequences[v].slice(0, p), job, ...sequences[v].slice(p)];
+        const cost = evaluateSequence(candidate, vehicle, ctx).cost;
+        const delta = cost - costs[v];
+        if (!best || delta < best.delta - EPSILON) best = { v, candidate, cost, delta };
+      }
+    });
+    sequences[best.v] = best.candidate;
+    costs[best.v] = best.cost;
+  });
+
+  return { sequences, costs };
+};
+
+// Each operator scans its whole neighbourhood and returns the best improving move, or null
+const bestTwoOpt = (state, vehicles, ctx) => {
+  let best = null;
+  state.sequences.forEach((seq, v) => {
+    for (let i = 0; i < seq.length - 1; i++) {
+      for (let j = i + 1; j < seq.length; j++) {
+        const candidate = [...seq.slice(0, i), ...seq.slice(i, j + 1).reverse(), ...seq.slice(j + 1)];
+        const cost = evaluateSequence(candidate, vehicles[v], ctx).cost;
+        const gain = state.costs[v] - cost;
+        if (gain > EPSILON && (!best || gain > best.gain)) best = { gain, changes: [[v, candidate, cost]] };
+      }
+    }
+  });
+  return best;
+};
+
+const bestRelocate = (state, vehicles, ctx) => {
+  let best = null;
+  state.sequences.forEach((seqA, a) => {
+    seqA.forEach((job, i) => {
+      const without = [...seqA.slice(0, i), ...seqA.slice(i + 1)];
+      const withoutCost = evaluateSequence(without, vehicles[a], ctx).cost;
+      state.sequences.forEach((seqB, b) => {
+        const base = a === b ? without : seqB;
+        for (let p = 0; p <= base.length; p++) {
+          if (a === b && p === i) continue;
+          const candidate = [...base.slice(0, p), job, ...base.slice(p)];
+          const cost = evaluateSequence(candidate, vehicles[b], ctx).cost;
+          const gain = a === b
+            ? state.costs[a] - cost
+            : state.costs[a] + state.costs[b] - withoutCost - cost;
+          if (gain > EPSILON && (!best || gain > best.gain)) {
+            best = {
+              gain,
+              changes: a === b ? [[a, candidate, cost]] : [[a, without, withoutCost], [b, candidate, cost]]
+            };
+          }
+        }
+      });
+    });
+  });
+  return best;
+};
+
+const bestSwap = (state, vehicles, ctx) => {
+  let best = null;
+  const { sequences, costs } = state;
+  for (let a = 0; a < sequences.length; a++) {
+    for (let b = a; b < sequences.length; b++) {
+      for (let i = 0; i < sequences[a].length; i++) {
+        for (let j = a === b ? i + 1 : 0; j < sequences[b].length; j++) {
+          if (a === b) {
+            const candidate = [...sequences[a]];
+            [candidate[i], candidate[j]] = [candidate[j], candidate[i]];
+            const cost = evaluateSequence(candidate, vehicles[a], ctx).cost;
+            const gain = costs[a] - cost;
+            if (gain > EPSILON && (!best || gain > best.gain)) best = { gain, changes: [[a, candidate, cost]] };
+          } else {
+            const candidateA = [...sequences[a]];
+            const candidateB = [...sequences[b]];
+            [candidateA[i], candidateB[j]] = [sequences[b][j], sequences[a][i]];
+            const costA = evaluateSequence(candidateA, vehicles[a], ctx).cost;
+            const costB = evaluateSequence(candidateB, vehicles[b], ctx).cost;
+            const gain = costs[a] + costs[b] - costA - costB;
+            if (gain > EPSILON && (!best || gain > best.gain)) best = { gain, changes: [[a, candidateA, costA], [b, candidateB, costB]] };
+          }
+        }
+      }
+    }
+  }
+  return best;
+};
+
+const OPERATORS = [
+  ['twoOpt', bestTwoOpt],
+  ['relocate', bestRelocate],
+  ['swap', bestSwap]
+];
+
+// `vehicles` are { id, name, capacity }, `jobs` come from buildPickupJobs (deadline in minutes
+// from dispatch) and `travelTimes` is a table from createTravelTimeTable.
+export const solveRoutes = ({ vehicles, jobs, depot, travelTimes, unloadMinutes = 15, maxMoves = DEFAULT_MAX_MOVES }) => {
+  const ctx = { depot, travelTimes, unloadMinutes };
+  const moves = { twoOpt: 0, relocate: 0, swap: 0 };
+
+  if (!vehicles.length) {
+    return {
+      routes: [],
+      totalCost: 0,
+      totalTravelTime: 0,
+      violations: jobs.map(job => ({ type: 'UNASSIGNED', jobId: job.id, cauldronId: job.cauldronId })),
+      feasible: jobs.length === 0,
+      moves
+    };
+  }
+
+  const state = construct(jobs, vehicles, ctx);
+  const initialCost = state.costs.reduce((sum, c) => sum + c, 0);
+
+  let moveCount = 0;
+  while (moveCount < maxMoves) {
+    let applied = false;
+    for (const [name, operator] of OPERATORS) {
+      const move = operator(state, vehicles, ctx);
+      if (!move) continue;
+      move.changes.forEach(([v, sequence, cost]) => {
+        state.sequences[v] = sequence;
+        state.costs[v] = cost;
+      });
+      moves[name]++;
+      moveCount++;
+      applied = true;
+      break;
+    }
+    if (!applied) break;
+  }
+
+  const routes = vehicles.map((vehicle, v) => {
+    const result = evaluateSequence(state.sequences[v], vehicle, ctx, true);
+    return {
+      vehicleId: vehicle.id,
+      vehicleName: vehicle.name,
+      capacity: vehicle.capacity,
+      stops: result.stops,
+      trips: result.trips,
+      totalTravelTime: result.travel,
+      duration: result.duration,
+      totalVolume: state.sequences[v].reduce((sum, job) => sum + job.volume, 0),
+      cost: result.cost,
+      violations: result.violations
+    };
+  });
+
+  const violations = routes.flatMap(route => route.violations);
+
+  return {
+    routes,
+    totalCost: routes.reduce((sum, r) => sum + r.cost, 0),
+    initialCost,
+    totalTravelTime: routes.reduce((sum, r) => sum + r.totalTravelTime, 0),
+    totalDuration: routes.reduce((sum, r) => sum + r.duration, 0),
+    violations,
+    feasible: violations.length === 0,
+    moves
+  };
+};
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { formatMinutes } from '../outputBonus/fillRateModel';
+import { isSnoozed } from './overflowAlerts';
+import './AlertCenter.css';
+
+// The map keeps at most two 6-hour level chunks in reach of the current reading
+const MAX_TREND_WINDOW = 360;
+
+const formatTime = (time) => (time ? new Date(time).toISOString().slice(0, 16).replace('T', ' ') + ' UTC' : '–');
+
+// Parses "60, 30, 10" into distinct positive minutes, largest first
+const parseLeadTimes = (text) => [...new Set(
+  text.split(/[\s,]+/).map(Number).filter(n => Number.isFinite(n) && n > 0)
+)].sort((a, b) => b - a);
+
+// Floating bell + panel for overflow alerts; state comes from useOverflowAlerts
+export default function AlertCenter({ alerts, history, settings, onUpdateSettings, onAcknowledge, onSnooze, onClearHistory }) {
+  const [open, setOpen] = useState(false);
+  const [tab, setTab] = useState('active');
+  const [leadText, setLeadText] = useState(settings.leadTimes.join(', '));
+
+  const active = Object.values(alerts).sort((a, b) => a.minutesToOverflow - b.minutesToOverflow);
+  const pending = active.filter(a => !a.acknowledged && !isSnoozed(a));
+  const notificationsBlocked = typeof Notification !== 'undefined' && Notification.permission === 'denied';
+
+  const saveLeadTimes = () => {
+    const leadTimes = parseLeadTimes(leadText);
+    if (leadTimes.length) onUpdateSettings({ ...settings, leadTimes });
+    setLeadText((leadTimes.length ? leadTimes : settings.leadTimes).join(', '));
+  };
+
+  return (
+    <div className="alert-center">
+      <button
+        className={`alert-bell ${pending.length ? 'alert-bell-ringing' : ''}`}
+        onClick={() => setOpen(!open)}
+        title="Overflow alerts"
+      >
+        🔔{pending.length > 0 && <span className="alert-badge">{pending.length}</span>}
+      </button>
+
+      {open && (
+        <div className="alert-panel">
+          <div className="alert-tabs">
+            <button className={tab === 'active' ? 'active' : ''} onClick={() => setTab('active')}>Active ({active.length})</button>
+            <button className={tab === 'history' ? 'active' : ''} onClick={() => setTab('history')}>History ({history.length})</button>
+            <button className={tab === 'settings' ? 'active' : ''} onClick={() => setTab('settings')}>⚙️</button>
+          </div>
+
+          {tab === 'active' && (
+            <div className="alert-list">
+              {active.length === 0 && <div className="alert-empty">No cauldron is projected to overflow within {Math.max(...settings.leadTimes)} min.</div>}
+              {active.map(alert => (
+                <div key={alert.id} className={`alert-item alert-${alert.severity} ${alert.acknowledged ? 'alert-acked' : ''}`}>
+                  <div className="alert-title">
+                    <strong>{alert.name}</strong>
+                    <span>{alert.overflowed ? 'OVERFLOWING' : `~${formatMinutes(alert.minutesToOverflow)} to overflow`}</span>
+                  </div>
+                  <div className="alert-detail">
+                    {alert.currentLevel.toFixed(0)} / {alert.maxVolume} L · inside {alert.lead} min lead · raised {formatTime(alert.raisedAt)}
+                  </div>
+                  <div className="alert-actions">
+                    {alert.acknowledged
+                      ? <span>✔ Acknowledged</span>
+                      : <button onClick={() => onAcknowledge(alert.cauldronId)}>Acknowledge</button>}
+                    {isSnoozed(alert)
+                      ? <span>💤 until {new Date(alert.snoozedUntil).toLocaleTimeString()}</span>
+                      : <button onClick={() => onSnooze(alert.cauldronId, settings.snoozeMinutes)}>Snooze {settings.snoozeMinutes}m</button>}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {tab === 'history' && (
+            <div className="alert-list">
+              {history.length === 0 && <div className="alert-empty">No resolved alerts yet.</div>}
+              {history.map(alert => (
+                <div key={`${alert.id}-${alert.resolvedAt}`} className={`alert-item alert-history alert-${alert.outcome === 'overflowed' ? 'critical' : 'notice'}`}>
+                  <div className="alert-title">
+                    <strong>{alert.name}</strong>
+                    <span>{alert.outcome === 'overflowed' ? 'Overflowed' : 'Cleared'}</span>
+                  </div>
+                  <div className="alert-detail">
+                    {formatTime(alert.raisedAt)} → {formatTime(alert.resolvedAt)} · reached {alert.lead} min lead{alert.acknowledged ? ' · acknowledged' : ''}
+                  </div>
+                </div>
+              ))}
+              {history.length > 0 && <button className="alert-clear" onClick={onClearHistory}>Clear history</button>}
+            </div>
+          )}
+
+          {tab === 'settings' && (
+            <div className="alert-settings">
+              <label>
+                Lead times (minutes)
+                <input value={leadText} onChange={(e) => setLeadText(e.target.value)} onBlur={saveLeadTimes} />
+              </label>
+              <label>
+                Trend window (minutes)
+                <input
+                  type="number"
+                  min={10}
+                  max={MAX_TREND_WINDOW}
+                  step={10}
+                  value={settings.trendWindowMinutes}
+                  onChange={(e) => onUpdateSettings({
+                    ...settings,
+                    trendWindowMinutes: Math.min(MAX_TREND_WINDOW, Math.max(10, Number(e.target.value) || 10))
+                  })}
+                />
+              </label>
+              <label>
+                Snooze length (minutes)
+                <input
+                  type="number"
+                  min={5}
+                  step={5}
+                  value={settings.snoozeMinutes}
+                  onChange={(e) => onUpdateSettings({ ...settings, snoozeMinutes: Math.max(5, Number(e.target.value) || 5) })}
+                />
+              </label>
+              <label className="alert-checkbox">
+                <input
+                  type="checkbox"
+                  checked={settings.notifications}
+                  disabled={notificationsBlocked}
+                  onChange={(e) => onUpdateSettings({ ...settings, notifications: e.target.checked })}
+                />
+                Browser notifications{notificationsBlocked ? ' (blocked by the browser)' : ''}
+              </label>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import React, { useState } from 'react';
+import { DataContext } from './dataContext';
+import { createApiClient } from './apiClient';
+import { LiveContext } from './liveContext';
+import { createLiveClient } from './liveUpdates';
+import { RoutePlanContext, createRoutePlanStore } from './routePlanContext';
+import { TimeContext, createTimeStore } from './timeContext';
+
+// Gives every panel below it one shared API client (and therefore one cache), one live connection, one
+// route plan and one selected time
+export default function DataProvider({ client, options, children }) {
+  const [value] = useState(() => client || createApiClient(options));
+  const [live] = useState(() => createLiveClient({ api: value }));
+  const [routePlans] = useState(createRoutePlanStore);
+  const [time] = useState(() => createTimeStore());
+  return (
+    <DataContext.Provider value={value}>
+      <LiveContext.Provider value={live}>
+        <RoutePlanContext.Provider value={routePlans}>
+          <TimeContext.Provider value={time}>{children}</TimeContext.Provider>
+        </RoutePlanContext.Provider>
+      </LiveContext.Provider>
+    </DataContext.Provider>
+  );
+}
@@ -0,0 +1,17 @@
+import React from 'react';
+import { navigate } from './router';
+
+// Anchor that navigates in-app; modified clicks (new tab, new window) keep the browser's behaviour
+export default function Link({ to, replace = false, onClick, children, ...rest }) {
+  const handleClick = (e) => {
+    if (onClick) onClick(e);
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(to, { replace });
+  };
+  return (
+    <a href={to} onClick={handleClick} {...rest}>
+      {children}
+    </a>
+  );
+}
@@ -0,0 +1,29 @@
+import React from 'react';
+import './LiveStatus.css';
+import { useLiveStatus } from './liveContext';
+import { formatInstant } from './timeContext';
+
+const TRANSPORT_LABELS = { sse: 'SSE', websocket: 'WebSocket', poll: 'polling' };
+
+const clockTime = (ms, timeZone) => formatInstant(Math.floor(ms / 1000), timeZone, 'HH:mm:ss');
+
+// State of the shared live connection; hidden while no view is subscribed
+export default function LiveStatus({ timeZone }) {
+  const status = useLiveStatus();
+  if (status.mode === 'idle') return null;
+
+  const lastEvent = status.lastEventAt ? ` · last update ${clockTime(status.lastEventAt, timeZone)}` : '';
+  const labels = {
+    connecting: '◌ Connecting…',
+    live: `● Live (${TRANSPORT_LABELS[status.transport]})${lastEvent}`,
+    reconnecting: status.retryAt ? `◌ Reconnecting at ${clockTime(status.retryAt, timeZone)}` : '◌ Reconnecting…',
+    polling: `⟳ Polling${lastEvent}`,
+    unavailable: '○ Live updates unavailable'
+  };
+
+  return (
+    <span className={`live-status live-status-${status.mode}`} title={status.error || undefined}>
+      {labels[status.mode]}
+    </span>
+  );
+}
@@ -0,0 +1,18 @@
+import React from 'react';
+import './StaleBadge.css';
+import { formatInstant } from './timeContext';
+
+// Shown while a view holds data from before a failed refresh (or is missing a source outright);
+// `stale` is a { since, errors } summary from useStaleData / mergeStale, and the errors go in the tooltip
+export default function StaleBadge({ stale, timeZone, onRetry }) {
+  if (!stale) return null;
+  const label = stale.since
+    ? `⚠ Stale since ${formatInstant(Math.floor(stale.since / 1000), timeZone, 'HH:mm')}`
+    : '⚠ Some data could not be loaded';
+  return (
+    <span className="stale-badge" title={stale.errors.join('\n')}>
+      {label}
+      {onRetry && <button onClick={onRetry}>Retry</button>}
+    </span>
+  );
+}
@@ -0,0 +1,49 @@
+import React from 'react';
+import './TimeBar.css';
+import LiveStatus from './LiveStatus';
+import {
+  TIME_ZONES,
+  datesFromRange,
+  fromDateTimeInput,
+  rangeFromDates,
+  toDateTimeInput,
+  useTime
+} from './timeContext';
+
+// The shared instant, range and time zone; every view follows what is set here
+export default function TimeBar() {
+  const { instant, range, timeZone, setInstant, setRange, setTimeZone } = useTime();
+  const { startDate, endDate } = datesFromRange(range, timeZone);
+
+  const changeDates = (nextStart, nextEnd) => {
+    const next = rangeFromDates(nextStart, nextEnd, timeZone);
+    setRange(next.start, next.end);
+  };
+
+  return (
+    <div className="time-bar">
+      <LiveStatus timeZone={timeZone} />
+      <label>
+        <span>At</span>
+        <input
+          type="datetime-local"
+          value={toDateTimeInput(instant, timeZone)}
+          onChange={(e) => setInstant(fromDateTimeInput(e.target.value, timeZone))}
+        />
+      </label>
+      <label>
+        <span>From</span>
+        <input type="date" value={startDate} max={endDate} onChange={(e) => changeDates(e.target.value, endDate)} />
+      </label>
+      <label>
+        <span>To</span>
+        <input type="date" value={endDate} min={startDate} onChange={(e) => changeDates(startDate, e.target.value)} />
+      </label>
+      <select value={timeZone} onChange={(e) => setTimeZone(e.target.value)} title="Time zone for dates and times">
+        {TIME_ZONES.map(zone => (
+          <option key={zone} value={zone}>{zone}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
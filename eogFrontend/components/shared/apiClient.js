@@ -0,0 +1,271 @@
+// Data access shared by all dashboard panels.
+//
+// Every GET goes through one client: concurrent requests for the same URL share a single fetch, and
+// responses are kept in memory for a per-endpoint TTL. Level history (/Data) is requested in aligned
+// blocks; blocks that lie entirely in the past can no longer change, so they are also persisted to
+// IndexedDB and survive reloads.
+//
+// Requests run under one fetch policy (fetchJson): a timeout, and jittered exponential backoff for
+// failures worth retrying. When a refresh still fails, the last good response is served instead and its
+// path is reported as stale, so views keep their data and can say how old it is.
+
+import { createLevelStore } from './levelStore';
+
+const MINUTE_MS = 60 * 1000;
+
+// First matching prefix wins
+const DEFAULT_TTLS = [
+  ['/Information/', 60 * MINUTE_MS],
+  ['/Data/metadata', 10 * MINUTE_MS],
+  ['/Tickets', MINUTE_MS],
+  ['/Data', MINUTE_MS]
+];
+const FALLBACK_TTL = 30 * 1000;
+
+export const LEVEL_BLOCK_SECONDS = 6 * 3600;
+// A block is treated as final once its end is this far in the past
+const SETTLE_SECONDS = 3600;
+const MAX_PARALLEL_BLOCKS = 4;
+
+export const DEFAULT_FETCH_POLICY = { timeoutMs: 15 * 1000, retries: 2, backoffMs: 500, maxBackoffMs: 8 * 1000 };
+
+const entryTime = (entry) => Date.parse(entry.timestamp) / 1000;
+
+// An Error with `kind` (timeout | network | http | html | parse), the HTTP `status` if there was one, and
+// whether another attempt could succeed
+const fetchError = (kind, message, { status = null, retryable = false } = {}) =>
+  Object.assign(new Error(message), { kind, status, retryable });
+
+// "Full jitter": a random delay up to the exponential bound, so clients that failed together don't all
+// come back at the same moment
+export const retryDelay = (attempt, { backoffMs, maxBackoffMs }, random = Math.random) =>
+  random() * Math.min(maxBackoffMs, backoffMs * 2 ** attempt);
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  }, { once: true });
+});
+
+const isRetryableStatus = (status) => status >= 500 || status === 408 || status === 429;
+
+const fetchOnce = async (url, init, { timeoutMs, label }) => {
+  const { signal } = init;
+  if (signal?.aborted) throw signal.reason;
+  const controller = new AbortController();
+  const forwardAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', forwardAbort);
+  let timedOut = false;
+  const timer = timeoutMs > 0 ? setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs) : null;
+
+  try {
+    let res;
+    let text;
+    try {
+      res = await fetch(url, { ...init, signal: controller.signal });
+      text = await res.text();
+    } catch (err) {
+      if (timedOut) throw fetchError('timeout', `${label} timed out after ${timeoutMs / 1000}s`, { retryable: true });
+      // The caller's own abort is passed through untouched
+      if (signal?.aborted) throw err;
+      throw fetchError('network', `${label} failed: ${err.message}`, { retryable: true });
+    }
+
+    const status = res.status;
+    const retryable = isRetryableStatus(status);
+    const contentType = res.headers.get('content-type') || '';
+    if (contentType.includes('text/html') || text.trimStart().startsWith('<')) {
+      // A gateway's error page may clear up; a 200 page means /api is routed to the dev server's index.html
+      throw res.ok
+        ? fetchError('html', `${label} returned HTML instead of JSON`, { status })
+        : fetchError('html', `${label} returned an HTML error page (${status})`, { status, retryable });
+    }
+
+    let json;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch {
+      throw res.ok
+        ? fetchError('parse', `${label} returned malformed JSON`, { status })
+        : fetchError('http', `${label} returned ${status}`, { status, retryable });
+    }
+    if (!res.ok) throw fetchError('http', json?.error || `${label} returned ${status}`, { status, retryable });
+    return json;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', forwardAbort);
+  }
+};
+
+// fetch() for JSON under the fetch policy; `label` names the request in error messages. Rejects with a
+// fetchError, or with the caller's AbortError when `init.signal` aborts.
+export const fetchJson = async (url, init = {}, { label = url, ...policy } = {}) => {
+  const options = { ...DEFAULT_FETCH_POLICY, ...policy };
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchOnce(url, init, { timeoutMs: options.timeoutMs, label });
+    } catch (err) {
+      if (!err.retryable || attempt >= options.retries) throw err;
+      await wait(retryDelay(attempt, options), init.signal);
+    }
+  }
+};
+
+// Stale entries under any of `prefixes`, folded into { since, errors }; null when they are all fresh
+export const staleSummary = (stale, prefixes) => {
+  const entries = Object.entries(stale)
+    .filter(([path]) => prefixes.some(prefix => path.startsWith(prefix)))
+    .map(([, entry]) => entry);
+  return entries.length ? { since: Math.min(...entries.map(entry => entry.since)), errors: entries.map(entry => entry.error) } : null;
+};
+
+// Combines { since, errors } summaries (null ones are skipped). `since` stays null when none of them
+// had older data to fall back on, i.e. something failed outright.
+export const mergeStale = (...summaries) => {
+  const present = summaries.filter(Boolean);
+  if (present.length === 0) return null;
+  const since = present.map(summary => summary.since).filter(Boolean);
+  return {
+    since: since.length ? Math.min(...since) : null,
+    errors: [...new Set(present.flatMap(summary => summary.errors))]
+  };
+};
+
+export const createApiClient = ({
+  baseUrl = '/api',
+  ttls = DEFAULT_TTLS,
+  levelStore = createLevelStore(),
+  fetchPolicy = DEFAULT_FETCH_POLICY
+} = {}) => {
+  const cache = new Map();
+  const inflight = new Map();
+  // Paths answered with older data after a failed refresh: { [path]: { since (ms), error } }
+  let stale = {};
+  const staleListeners = new Set();
+
+  const ttlFor = (path) => {
+    const match = ttls.find(([prefix]) => path.startsWith(prefix));
+    return match ? match[1] : FALLBACK_TTL;
+  };
+
+  const request = (path) => fetchJson(`${baseUrl}${path}`, {}, { ...fetchPolicy, label: path });
+
+  const remember = (path, data, ttl, fetchedAt = Date.now()) => {
+    cache.set(path, { data, expires: Date.now() + ttl, fetchedAt });
+  };
+
+  const setStale = (path, entry) => {
+    if (!entry && !stale[path]) return;
+    const next = { ...stale };
+    if (entry) next[path] = entry;
+    else delete next[path];
+    stale = next;
+    staleListeners.forEach(listener => listener());
+  };
+
+  // Cached data for `path` if it is still fresh, otherwise undefined
+  const peek = (path) => {
+    const entry = cache.get(path);
+    return entry && entry.expires > Date.now() ? entry.data : undefined;
+  };
+
+  const get = (path, { ttl = ttlFor(path), force = false } = {}) => {
+    if (!force) {
+      const cached = peek(path);
+      if (cached !== undefined) return Promise.resolve(cached);
+    }
+    if (inflight.has(path)) return inflight.get(path);
+    const promise = request(path)
+      .then(data => {
+        remember(path, data, ttl);
+        setStale(path, null);
+        return data;
+      })
+      .catch(err => {
+        // Expired or not, the last good response beats an empty view
+        const previous = cache.get(path);
+        if (!previous) throw err;
+        setStale(path, { since: previous.fetchedAt, error: err.message });
+        return previous.data;
+      })
+      .finally(() => inflight.delete(path));
+    inflight.set(path, promise);
+    return promise;
+  };
+
+  // Drop memory-cached responses whose path starts with `prefix` (everything by default)
+  const invalidate = (prefix = '') => {
+    [...cache.keys()].forEach(path => {
+      if (path.startsWith(prefix)) cache.delete(path);
+    });
+  };
+
+  const loadBlock = async (blockStart, force) => {
+    const blockEnd = blockStart + LEVEL_BLOCK_SECONDS - 1;
+    const path = `/Data?start_date=${blockStart}&end_date=${blockEnd}`;
+    const settled = blockEnd < Date.now() / 1000 - SETTLE_SECONDS;
+    if (!settled) return get(path, { force });
+
+    const cached = peek(path);
+    if (cached !== undefined) return cached;
+    const stored = await levelStore.read(blockStart);
+    if (stored) {
+      remember(path, stored.entries, Infinity, stored.fetchedAt);
+      return stored.entries;
+    }
+    const entries = await get(path, { ttl: Infinity });
+    levelStore.write(blockStart, { entries: Array.isArray(entries) ? entries : [], fetchedAt: Date.now() });
+    return entries;
+  };
+
+  // /api/Data entries with start <= timestamp <= end (unix seconds), assembled from cached blocks.
+  // `force` re-downloads blocks that are not yet settled; `onProgress(loaded, total)` fires per block.
+  const getLevels = async (start, end, { force = false, onProgress } = {}) => {
+    const blockStarts = [];
+    for (let block = Math.floor(start / LEVEL_BLOCK_SECONDS) * LEVEL_BLOCK_SECONDS; block <= end; block += LEVEL_BLOCK_SECONDS) {
+      blockStarts.push(block);
+    }
+    const blocks = new Array(blockStarts.length);
+    let next = 0;
+    let loaded = 0;
+    const worker = async () => {
+      while (next < blockStarts.length) {
+        const index = next++;
+        blocks[index] = await loadBlock(blockStarts[index], force);
+        loaded++;
+        if (onProgress) onProgress(loaded, blockStarts.length);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(MAX_PARALLEL_BLOCKS, blockStarts.length) }, worker));
+
+    return blocks
+      .flatMap(entries => (Array.isArray(entries) ? entries : []))
+      .filter(entry => {
+        const time = entryTime(entry);
+        return time >= start && time <= end;
+      });
+  };
+
+  const clearPersisted = () => {
+    invalidate('/Data?');
+    return levelStore.clear();
+  };
+
+  return {
+    get,
+    peek,
+    invalidate,
+    getLevels,
+    clearPersisted,
+    getStale: () => stale,
+    subscribeStale: (listener) => {
+      staleListeners.add(listener);
+      return () => staleListeners.delete(listener);
+    }
+  };
+};
@@ -0,0 +1,74 @@
+// React bindings for the shared API client. Panels rendered outside a <DataProvider> share a
+// module-level default client, so caching and deduplication still apply.
+
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState, useSyncExternalStore } from 'react';
+import { createApiClient, staleSummary } from './apiClient';
+
+export const DataContext = createContext(createApiClient());
+
+export const useDataClient = () => useContext(DataContext);
+
+// { data, loading, error, refresh } for a cached GET; pass a null path to skip the request
+export const useApiResource = (path, { ttl } = {}) => {
+  const client = useDataClient();
+  const [state, setState] = useState(() => {
+    const cached = path ? client.peek(path) : undefined;
+    return { data: cached, loading: Boolean(path) && cached === undefined, error: null };
+  });
+  const [version, setVersion] = useState(0);
+  const forceRef = useRef(false);
+
+  useEffect(() => {
+    if (!path) return;
+    let active = true;
+    const force = forceRef.current;
+    forceRef.current = false;
+    setState(prev => ({ ...prev, loading: true, error: null }));
+    client.get(path, { ttl, force }).then(
+      data => active && setState({ data, loading: false, error: null }),
+      error => active && setState(prev => ({ ...prev, loading: false, error }))
+    );
+    return () => { active = false; };
+  }, [client, path, ttl, version]);
+
+  const refresh = useCallback(() => {
+    forceRef.current = true;
+    setVersion(v => v + 1);
+  }, []);
+
+  return { ...state, refresh };
+};
+
+// { since, errors } while responses under any of `prefixes` are served stale, otherwise null.
+// Pass a constant array; a new one every render recomputes the summary each time.
+export const useStaleData = (prefixes) => {
+  const client = useDataClient();
+  const stale = useSyncExternalStore(client.subscribeStale, client.getStale);
+  return useMemo(() => staleSummary(stale, prefixes), [stale, prefixes]);
+};
+
+export const useCauldrons = () => useApiResource('/Information/cauldrons');
+export const useNetwork = () => useApiResource('/Information/network');
+export const useMarket = () => useApiResource('/Information/market');
+export const useCouriers = () => useApiResource('/Information/couriers');
+export const useTickets = () => useApiResource('/Tickets');
+export const useDataMetadata = () => useApiResource('/Data/metadata');
+
+// Level history between two unix timestamps, served from the block cache where possible
+export const useLevelData = (start, end) => {
+  const client = useDataClient();
+  const [state, setState] = useState({ data: [], loading: true, error: null });
+
+  useEffect(() => {
+    if (start == null || end == null) return;
+    let active = true;
+    setState(prev => ({ ...prev, loading: true, error: null }));
+    client.getLevels(start, end).then(
+      data => active && setState({ data, loading: false, error: null }),
+      error => active && setState(prev => ({ ...prev, loading: false, error }))
+    );
+    return () => { active = false; };
+  }, [client, start, end]);
+
+  return state;
+};
@@ -0,0 +1,136 @@
+// Drain detection shared by the dashboard panels.
+// Mirrors detect_drain_events_statistical in eogBackend/apis/drainDetectorJson.py so the chart and the
+// discrepancy report agree on which drains exist, and adds fill compensation: potion keeps flowing in
+// while a courier drains, so drained volume = observed drop + inflow during the drain window.
+
+export const DEFAULT_DRAIN_PARAMS = { stdMultiplier: 3.0, minDuration: 5 };
+
+// Below this many filling samples the backend falls back to a fixed -5 L/sample threshold
+const MIN_FILLING_SAMPLES = 10;
+const FALLBACK_THRESHOLD = -5.0;
+
+const toMillis = (time) => (time instanceof Date ? time.getTime() : typeof time === 'number' ? time : new Date(time).getTime());
+
+// Flatten /api/Data entries into a sorted { time, level } series per cauldron (time in ms)
+export const groupLevelsByCauldron = (history) => {
+  const series = {};
+  (history || []).forEach(entry => {
+    const time = toMillis(entry.timestamp);
+    if (Number.isNaN(time)) return;
+    Object.entries(entry.cauldron_levels || {}).forEach(([cauldronId, level]) => {
+      if (!series[cauldronId]) series[cauldronId] = [];
+      series[cauldronId].push({ time, level });
+    });
+  });
+  Object.values(series).forEach(points => points.sort((a, b) => a.time - b.time));
+  return series;
+};
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// Sample standard deviation, matching pandas' default ddof=1
+const stdDev = (values) => {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+};
+
+// A level change below this value counts as draining
+export const drainThreshold = (changes, stdMultiplier = DEFAULT_DRAIN_PARAMS.stdMultiplier) => {
+  const filling = changes.filter(c => c > 0);
+  if (filling.length <= MIN_FILLING_SAMPLES) return FALLBACK_THRESHOLD;
+  return mean(filling) - stdMultiplier * stdDev(filling);
+};
+
+// `points` are { time, level } sorted by time; returned indices refer to that array
+export const detectDrainEvents = (points, params = {}) => {
+  const { stdMultiplier, minDuration } = { ...DEFAULT_DRAIN_PARAMS, ...params };
+  if (!points || points.length < 2) return [];
+
+  const changes = points.map((p, i) => (i === 0 ? null : p.level - points[i - 1].level));
+  const threshold = drainThreshold(changes.slice(1), stdMultiplier);
+  const draining = changes.map(c => c !== null && c < threshold);
+
+  // Net fill rate (L/min) from the samples outside any drain, used to compensate each drain window
+  let fillLiters = 0;
+  let fillMinutes = 0;
+  for (let i = 1; i < points.length; i++) {
+    if (draining[i]) continue;
+    fillLiters += changes[i];
+    fillMinutes += (toMillis(points[i].time) - toMillis(points[i - 1].time)) / 60000;
+  }
+  const fillRatePerMinute = fillMinutes > 0 ? Math.max(0, fillLiters / fillMinutes) : 0;
+
+  const events = [];
+  let i = 0;
+  while (i < points.length) {
+    if (!draining[i]) {
+      i++;
+      continue;
+    }
+    const startIndex = i;
+    while (i + 1 < points.length && draining[i + 1]) i++;
+    const endIndex = i;
+    i++;
+
+    const duration = endIndex - startIndex + 1;
+    if (duration < minDuration) continue;
+
+    const beforeIndex = startIndex > 0 ? startIndex - 1 : startIndex;
+    const levelBefore = points[beforeIndex].level;
+    const levelAfter = points[endIndex].level;
+    const observedDrop = levelBefore - levelAfter;
+    const windowMinutes = (toMillis(points[endIndex].time) - toMillis(points[beforeIndex].time)) / 60000;
+    const inflow = fillRatePerMinute * windowMinutes;
+
+    events.push({
+      startIndex,
+      endIndex,
+      beforeIndex,
+      startTime: points[startIndex].time,
+      endTime: points[endIndex].time,
+      durationMinutes: duration,
+      levelBefore,
+      levelAfter,
+      observedDrop,
+      inflow,
+      drainedVolume: observedDrop + inflow,
+      avgDropRate: observedDrop / duration,
+      fillRatePerMinute,
+      threshold
+    });
+  }
+  return events;
+};
+
+export const utcDateKey = (time) => new Date(toMillis(time)).toISOString().slice(0, 10);
+
+// The backend runs detection one UTC day at a time, so thresholds are fitted per day; do the same
+export const detectDrainEventsByDay = (points, params = {}) => {
+  const events = [];
+  let dayStart = 0;
+  for (let i = 1; i <= points.length; i++) {
+    if (i < points.length && utcDateKey(points[i].time) === utcDateKey(points[dayStart].time)) continue;
+    const day = points.slice(dayStart, i);
+    const date = utcDateKey(points[dayStart].time);
+    detectDrainEvents(day, params).forEach(event => {
+      events.push({
+        ...event,
+        date,
+        startIndex: event.startIndex + dayStart,
+        endIndex: event.endIndex + dayStart,
+        beforeIndex: event.beforeIndex + dayStart
+      });
+    });
+    dayStart = i;
+  }
+  return events;
+};
+
+// Drain events for every cauldron in an /api/Data response, tagged with cauldronId
+export const detectDrainsForCauldrons = (history, params = {}) => {
+  const series = groupLevelsByCauldron(history);
+  return Object.entries(series).flatMap(([cauldronId, points]) =>
+    detectDrainEventsByDay(points, params).map(event => ({ ...event, cauldronId }))
+  );
+};
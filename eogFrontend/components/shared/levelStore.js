@@ -0,0 +1,49 @@
+// Minimal IndexedDB key/value store for /api/Data blocks. Every operation degrades to a no-op
+// (reads return undefined) when IndexedDB is unavailable or fails, so callers just fall back to the network.
+
+const DB_VERSION = 1;
+const STORE = 'levelBlocks';
+
+// Mock-mode data (npm run dev:mock) is kept apart from the live feed's
+const DEFAULT_DB_NAME = import.meta.env?.MODE === 'mock' ? 'eog-level-cache-mock' : 'eog-level-cache';
+
+export const createLevelStore = (dbName = DEFAULT_DB_NAME) => {
+  let dbPromise = null;
+
+  const open = () => {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    if (!dbPromise) {
+      dbPromise = new Promise(resolve => {
+        const request = indexedDB.open(dbName, DB_VERSION);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('Level cache unavailable:', request.error);
+          resolve(null);
+        };
+      });
+    }
+    return dbPromise;
+  };
+
+  const run = async (mode, action) => {
+    const db = await open();
+    if (!db) return undefined;
+    return new Promise(resolve => {
+      try {
+        const request = action(db.transaction(STORE, mode).objectStore(STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(undefined);
+      } catch (err) {
+        console.warn('Level cache operation failed:', err);
+        resolve(undefined);
+      }
+    });
+  };
+
+  return {
+    read: (key) => run('readonly', store => store.get(key)),
+    write: (key, value) => run('readwrite', store => store.put(value, key)),
+    clear: () => run('readwrite', store => store.clear())
+  };
+};
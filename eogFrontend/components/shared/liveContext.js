@@ -0,0 +1,28 @@
+// React bindings for the live update client. Like DataContext, panels outside a <DataProvider> fall
+// back to a module-level client; it stays disconnected until something subscribes.
+
+import { createContext, useContext, useEffect, useRef, useSyncExternalStore } from 'react';
+import { createApiClient } from './apiClient';
+import { createLiveClient } from './liveUpdates';
+
+export const LiveContext = createContext(createLiveClient({ api: createApiClient() }));
+
+// Calls `onUpdate(items)` for every batch of new readings ('levels') or tickets ('tickets') while `enabled`
+export const useLiveUpdates = (topic, onUpdate, enabled = true) => {
+  const client = useContext(LiveContext);
+  const handlerRef = useRef(onUpdate);
+  useEffect(() => {
+    handlerRef.current = onUpdate;
+  });
+
+  useEffect(() => {
+    if (!enabled) return;
+    return client.subscribe(topic, items => handlerRef.current(items));
+  }, [client, topic, enabled]);
+};
+
+// { mode, transport, retryAt, lastEventAt, error } of the shared connection
+export const useLiveStatus = () => {
+  const client = useContext(LiveContext);
+  return useSyncExternalStore(client.subscribeStatus, client.getStatus);
+};
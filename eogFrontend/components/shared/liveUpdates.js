@@ -0,0 +1,278 @@
+// Push updates for the level and ticket feeds.
+//
+// The client subscribes to /api/stream over Server-Sent Events (or WebSocket) and hands new /api/Data
+// entries and transport tickets to whoever is listening. A dropped stream is reopened with exponential
+// backoff, and every (re)connect backfills the gap through /api/Data and /api/Tickets, so listeners never
+// miss or repeat a reading. When the stream can't be opened at all (the Flask API has no /api/stream),
+// live updates are reported unavailable and nothing more is requested; polling the same endpoints is
+// only used when chosen as the transport. Nothing connects until the first listener subscribes, and the
+// last one leaving closes it.
+
+export const LIVE_TRANSPORTS = ['sse', 'websocket', 'poll'];
+
+export const DEFAULT_LIVE_OPTIONS = {
+  transport: LIVE_TRANSPORTS.includes(import.meta.env?.VITE_LIVE_TRANSPORT) ? import.meta.env.VITE_LIVE_TRANSPORT : 'sse',
+  streamPath: '/stream',
+  pollMs: 30 * 1000,
+  backoff: { initialMs: 1000, factor: 2, maxMs: 30 * 1000 },
+  // Consecutive failed connects, without the stream ever opening, before giving up on live updates
+  maxFailures: 3,
+  // Longest span one backfill asks /api/Data for. A feed whose last reading is older than this (a
+  // finished dataset) only gets its recent end requested; the views load older data themselves.
+  maxBackfillSeconds: 6 * 3600
+};
+
+// Delay before reconnect attempt `attempt` (0-based)
+export const backoffDelay = (attempt, { initialMs, factor, maxMs }) => Math.min(maxMs, initialMs * factor ** attempt);
+
+const entryTime = (entry) => Date.parse(entry.timestamp) / 1000;
+
+const toSeconds = (value) => {
+  const parsed = typeof value === 'number' ? value : Date.parse(value) / 1000;
+  return Number.isFinite(parsed) ? Math.floor(parsed) : null;
+};
+
+const IDLE_STATUS = { mode: 'idle', transport: null, retryAt: null, lastEventAt: null, error: null };
+
+export const createLiveClient = ({ api, baseUrl = '/api', ...overrides }) => {
+  const options = { ...DEFAULT_LIVE_OPTIONS, ...overrides };
+  const listeners = { levels: new Set(), tickets: new Set() };
+  const statusListeners = new Set();
+  let status = IDLE_STATUS;
+
+  // Newest reading handed out (unix seconds) and every ticket id seen, so nothing is delivered twice
+  let lastLevelTime = null;
+  const seenTickets = new Set();
+  let primed = null;
+
+  let close = null;
+  let timer = null;
+  let failures = 0;
+  let everOpened = false;
+  let running = false;
+  // Bumped by start and stop so timers and awaits from an earlier session stand down
+  let session = 0;
+  // Stream readings that arrive while a backfill is in flight wait for it, to keep delivery in order
+  let backfilling = null;
+  let pendingLevels = [];
+
+  const setStatus = (next) => {
+    status = { ...status, ...next };
+    statusListeners.forEach(listener => listener());
+  };
+
+  const emitLevels = (entries) => {
+    const fresh = entries
+      .filter(entry => {
+        const time = entryTime(entry);
+        return Number.isFinite(time) && (lastLevelTime === null || time > lastLevelTime);
+      })
+      .sort((a, b) => entryTime(a) - entryTime(b));
+    if (fresh.length === 0) return;
+    lastLevelTime = entryTime(fresh[fresh.length - 1]);
+    setStatus({ lastEventAt: Date.now() });
+    listeners.levels.forEach(listener => listener(fresh));
+  };
+
+  const emitTickets = (tickets) => {
+    const fresh = tickets.filter(ticket => ticket?.ticket_id && !seenTickets.has(ticket.ticket_id));
+    if (fresh.length === 0) return;
+    fresh.forEach(ticket => seenTickets.add(ticket.ticket_id));
+    setStatus({ lastEventAt: Date.now() });
+    listeners.tickets.forEach(listener => listener(fresh));
+  };
+
+  const receive = (topic, data) => {
+    const items = Array.isArray(data) ? data : [data];
+    if (topic === 'tickets') emitTickets(items);
+    else if (topic === 'levels' && backfilling) pendingLevels.push(...items);
+    else if (topic === 'levels') emitLevels(items);
+  };
+
+  // Where the views' data currently ends: the feed's last reading and the tickets already published
+  const prime = () => {
+    if (!primed) {
+      primed = Promise.all([
+        api.get('/Data/metadata', { force: true }).then(meta => {
+          if (lastLevelTime === null) lastLevelTime = toSeconds(meta?.end_date);
+        }),
+        api.get('/Tickets').then(data => {
+          (data?.transport_tickets || []).forEach(ticket => seenTickets.add(ticket.ticket_id));
+        })
+      ]).catch(err => {
+        // Without a starting point the first stream event becomes the baseline
+        console.warn('Live updates start without a baseline:', err);
+      });
+    }
+    return primed;
+  };
+
+  // Everything published since the last delivered reading
+  const backfill = async () => {
+    if (backfilling) return backfilling;
+    backfilling = (async () => {
+      try {
+        const now = Math.floor(Date.now() / 1000);
+        const from = lastLevelTime === null ? null : Math.max(Math.floor(lastLevelTime) + 1, now - options.maxBackfillSeconds);
+        const levelPath = from === null ? null : `/Data?start_date=${from}&end_date=${now}`;
+        const [levels, tickets] = await Promise.all([
+          levelPath ? api.get(levelPath, { force: true }) : [],
+          api.get('/Tickets', { force: true })
+        ]);
+        // Every gap has its own URL; don't let them pile up in the response cache
+        if (levelPath) api.invalidate(levelPath);
+        emitLevels(Array.isArray(levels) ? levels : []);
+        emitTickets(tickets?.transport_tickets || []);
+        setStatus({ error: null });
+      } catch (err) {
+        setStatus({ error: `Backfill failed: ${err.message}` });
+      } finally {
+        const buffered = pendingLevels;
+        pendingLevels = [];
+        backfilling = null;
+        emitLevels(buffered);
+      }
+    })();
+    return backfilling;
+  };
+
+  const poll = async (current) => {
+    await backfill();
+    if (current === session) timer = setTimeout(() => poll(current), options.pollMs);
+  };
+
+  const startPolling = () => {
+    setStatus({ mode: 'polling', transport: 'poll', retryAt: null });
+    poll(session);
+  };
+
+  // Stays subscribed but quiet until the listeners leave; the next subscriber tries the stream again
+  const giveUp = (reason) => {
+    console.warn('Live updates unavailable:', reason);
+    setStatus({ mode: 'unavailable', retryAt: null, error: reason });
+  };
+
+  const openSse = (url, handlers) => {
+    const source = new EventSource(url);
+    source.onopen = handlers.open;
+    ['levels', 'tickets'].forEach(topic => {
+      source.addEventListener(topic, event => handlers.message(topic, event.data));
+    });
+    // EventSource retries on its own with a fixed delay; close it so the backoff here decides instead
+    source.onerror = () => {
+      source.close();
+      handlers.drop('Event stream closed');
+    };
+    return () => source.close();
+  };
+
+  const openWebSocket = (url, handlers) => {
+    const socketUrl = new URL(url, window.location.href);
+    socketUrl.protocol = socketUrl.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(socketUrl);
+    let dropped = false;
+    socket.onopen = handlers.open;
+    socket.onmessage = (event) => {
+      try {
+        const { topic, data } = JSON.parse(event.data);
+        handlers.message(topic, data);
+      } catch (err) {
+        console.warn('Ignoring malformed live message:', err);
+      }
+    };
+    socket.onclose = (event) => {
+      if (dropped) return;
+      dropped = true;
+      handlers.drop(`WebSocket closed (${event.code})`);
+    };
+    return () => {
+      dropped = true;
+      socket.close();
+    };
+  };
+
+  const connect = () => {
+    const transport = options.transport;
+    const available = transport === 'sse' ? typeof EventSource !== 'undefined' : typeof WebSocket !== 'undefined';
+    if (transport === 'poll') {
+      startPolling();
+      return;
+    }
+    if (!available) {
+      giveUp(`${transport} is not supported here`);
+      return;
+    }
+
+    setStatus({ mode: everOpened ? 'reconnecting' : 'connecting', transport, retryAt: null });
+    const open = transport === 'sse' ? openSse : openWebSocket;
+    close = open(`${baseUrl}${options.streamPath}?topics=levels,tickets`, {
+      open: () => {
+        failures = 0;
+        everOpened = true;
+        setStatus({ mode: 'live', error: null });
+        backfill();
+      },
+      message: (topic, raw) => {
+        try {
+          receive(topic, typeof raw === 'string' ? JSON.parse(raw) : raw);
+        } catch (err) {
+          console.warn('Ignoring malformed live message:', err);
+        }
+      },
+      drop: (reason) => {
+        close = null;
+        if (!running) return;
+        failures += 1;
+        if (!everOpened && failures >= options.maxFailures) {
+          giveUp(reason);
+          return;
+        }
+        const delay = backoffDelay(failures - 1, options.backoff);
+        setStatus({ mode: 'reconnecting', retryAt: Date.now() + delay, error: reason });
+        timer = setTimeout(connect, delay);
+      }
+    });
+  };
+
+  const start = async () => {
+    running = true;
+    const current = ++session;
+    setStatus({ mode: 'connecting', transport: options.transport });
+    await prime();
+    if (current === session) connect();
+  };
+
+  const stop = () => {
+    running = false;
+    session += 1;
+    clearTimeout(timer);
+    timer = null;
+    if (close) close();
+    close = null;
+    failures = 0;
+    setStatus(IDLE_STATUS);
+  };
+
+  const listenerCount = () => listeners.levels.size + listeners.tickets.size;
+
+  // `topic` is 'levels' (arrays of /api/Data entries, oldest first) or 'tickets' (arrays of new tickets)
+  const subscribe = (topic, listener) => {
+    if (!listeners[topic]) throw new Error(`Unknown live topic: ${topic}`);
+    listeners[topic].add(listener);
+    if (!running) start();
+    return () => {
+      listeners[topic].delete(listener);
+      if (running && listenerCount() === 0) stop();
+    };
+  };
+
+  return {
+    subscribe,
+    // { mode: idle | connecting | live | reconnecting | polling | unavailable, transport, retryAt, lastEventAt, error }
+    getStatus: () => status,
+    subscribeStatus: (listener) => {
+      statusListeners.add(listener);
+      return () => statusListeners.delete(listener);
+    }
+  };
+};
@@ -0,0 +1,51 @@
+// Largest-Triangle-Three-Buckets downsampling (Steinarsson, 2013). Keeps the points that carry the visual
+// shape of a series, so drains survive being squeezed into a few hundred pixels where plain decimation
+// would skip them.
+
+// Indices of at most `threshold` points of the series (xs, ys); every index when it is already small enough
+export const lttbIndices = (xs, ys, threshold) => {
+  const length = xs.length;
+  if (threshold >= length || threshold < 3) {
+    return Array.from({ length }, (_, i) => i);
+  }
+
+  const indices = [0];
+  // First and last points are always kept; the rest is split into threshold - 2 buckets
+  const bucketSize = (length - 2) / (threshold - 2);
+  let previous = 0;
+
+  for (let bucket = 0; bucket < threshold - 2; bucket++) {
+    const start = Math.floor(bucket * bucketSize) + 1;
+    const end = Math.min(Math.floor((bucket + 1) * bucketSize) + 1, length - 1);
+
+    // Average of the next bucket is the third corner of the triangle
+    const nextStart = end;
+    const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, length);
+    let avgX = 0;
+    let avgY = 0;
+    for (let i = nextStart; i < nextEnd; i++) {
+      avgX += xs[i];
+      avgY += ys[i];
+    }
+    const count = nextEnd - nextStart || 1;
+    avgX /= count;
+    avgY /= count;
+
+    let best = start;
+    let bestArea = -1;
+    for (let i = start; i < end; i++) {
+      const area = Math.abs(
+        (xs[previous] - avgX) * (ys[i] - ys[previous]) - (xs[previous] - xs[i]) * (avgY - ys[previous])
+      );
+      if (area > bestArea) {
+        bestArea = area;
+        best = i;
+      }
+    }
+    indices.push(best);
+    previous = best;
+  }
+
+  indices.push(length - 1);
+  return indices;
+};
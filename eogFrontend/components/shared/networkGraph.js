@@ -0,0 +1,95 @@
+// Directed travel-time graph over /api/Information/network edges, with all-pairs shortest paths.
+// The network is a handful of cauldrons plus the market, so Floyd–Warshall is plenty.
+
+export const DEFAULT_MARKET_ID = 'market_001';
+
+export const buildNetworkGraph = (edges) => {
+  const nodes = new Set();
+  const adjacency = {};
+  (edges || []).forEach(edge => {
+    if (!edge || !edge.from || !edge.to) return;
+    const minutes = Number(edge.travel_time_minutes);
+    if (!Number.isFinite(minutes) || minutes < 0) return;
+    nodes.add(edge.from);
+    nodes.add(edge.to);
+    if (!adjacency[edge.from]) adjacency[edge.from] = {};
+    // Keep the fastest edge when the feed lists the same hop twice
+    const existing = adjacency[edge.from][edge.to];
+    adjacency[edge.from][edge.to] = existing === undefined ? minutes : Math.min(existing, minutes);
+  });
+  return { nodes: [...nodes].sort(), adjacency };
+};
+
+export const computeAllPairs = (graph) => {
+  const { nodes, adjacency } = graph;
+  const dist = {};
+  const next = {};
+  nodes.forEach(from => {
+    dist[from] = {};
+    next[from] = {};
+    nodes.forEach(to => {
+      if (from === to) {
+        dist[from][to] = 0;
+        next[from][to] = to;
+      } else if (adjacency[from] && adjacency[from][to] !== undefined) {
+        dist[from][to] = adjacency[from][to];
+        next[from][to] = to;
+      } else {
+        dist[from][to] = Infinity;
+        next[from][to] = null;
+      }
+    });
+  });
+
+  nodes.forEach(via => {
+    nodes.forEach(from => {
+      if (dist[from][via] === Infinity) return;
+      nodes.forEach(to => {
+        const candidate = dist[from][via] + dist[via][to];
+        if (candidate < dist[from][to]) {
+          dist[from][to] = candidate;
+          next[from][to] = next[from][via];
+        }
+      });
+    });
+  });
+
+  return { dist, next };
+};
+
+// Lookup object used by routing: travelTime() is Infinity and path() is [] when `to` is unreachable
+export const createTravelTimeTable = (edges) => {
+  const graph = buildNetworkGraph(edges);
+  const { dist, next } = computeAllPairs(graph);
+
+  const travelTime = (from, to) => {
+    if (from === to) return 0;
+    return dist[from]?.[to] ?? Infinity;
+  };
+
+  const path = (from, to) => {
+    if (from === to) return [from];
+    if (!next[from] || !next[from][to]) return [];
+    const hops = [from];
+    let current = from;
+    while (current !== to) {
+      current = next[current][to];
+      hops.push(current);
+    }
+    return hops;
+  };
+
+  // Total minutes for visiting `stops` in order, starting and optionally ending at `origin`
+  const tourTime = (origin, stops, returnToOrigin = true) => {
+    let total = 0;
+    let current = origin;
+    stops.forEach(stop => {
+      total += travelTime(current, stop);
+      current = stop;
+    });
+    if (returnToOrigin) total += travelTime(current, origin);
+    return total;
+  };
+
+  return { nodes: graph.nodes, dist, travelTime, path, tourTime };
+};
@@ -0,0 +1,179 @@
+// Overflow early warnings.
+//
+// Each cauldron's time to overflow is projected from the fill rate over the recent trend window (the
+// pessimistic end of the fitted rate, as the route optimizer uses). An alert is raised when that time
+// drops under the largest configured lead time and escalates as it crosses each smaller one. An
+// escalation re-opens an acknowledged alert; snoozing mutes notifications for a while without hiding the
+// alert. Alerts that clear are moved to a history kept in localStorage.
+
+import { buildFillRateModels } from '../outputBonus/fillRateModel';
+
+export const DEFAULT_ALERT_SETTINGS = {
+  leadTimes: [60, 30, 10],
+  trendWindowMinutes: 60,
+  snoozeMinutes: 30,
+  notifications: false
+};
+
+const SETTINGS_KEY = 'eog.alertSettings';
+const HISTORY_KEY = 'eog.alertHistory';
+const MAX_HISTORY = 200;
+
+export const SEVERITY = {
+  CRITICAL: 'critical',
+  WARNING: 'warning',
+  NOTICE: 'notice'
+};
+
+// `history` is /api/Data-shaped; timestamps may be ISO strings or epoch milliseconds
+export const projectOverflows = (history, cauldrons) => {
+  const models = buildFillRateModels(history, cauldrons);
+  return cauldrons.map(cauldron => {
+    const model = models[cauldron.id];
+    return {
+      cauldronId: cauldron.id,
+      name: cauldron.name || cauldron.id,
+      currentLevel: model.currentLevel,
+      maxVolume: cauldron.max_volume || 100,
+      ratePerMinute: model.rateHigh,
+      minutesToOverflow: model.timeToFullLow,
+      reliable: model.reliable,
+      asOf: model.lastReadingTime
+    };
+  });
+};
+
+// The tightest lead time the projection is already inside of, or null when it is outside all of them
+export const leadTimeFor = (minutesToOverflow, leadTimes) => {
+  const inside = leadTimes.filter(lead => minutesToOverflow <= lead);
+  return inside.length ? Math.min(...inside) : null;
+};
+
+export const severityFor = (lead, leadTimes) => {
+  const sorted = [...leadTimes].sort((a, b) => a - b);
+  if (lead === sorted[0]) return SEVERITY.CRITICAL;
+  if (sorted.length > 2 && lead === sorted[sorted.length - 1]) return SEVERITY.NOTICE;
+  return SEVERITY.WARNING;
+};
+
+export const isSnoozed = (alert, wallNow = Date.now()) => Boolean(alert.snoozedUntil && alert.snoozedUntil > wallNow);
+
+export const createAlertState = () => ({ active: {}, history: loadAlertHistory(), raised: [] });
+
+// Folds a fresh set of projections into the alert state. `raised` lists alerts that are new or escalated
+// and should be announced. Times in alerts are data time (ms), except snoozedUntil which is wall-clock.
+export const applyProjections = (state, projections, settings) => {
+  const { leadTimes } = settings;
+  const active = { ...state.active };
+  const resolved = [];
+  const raised = [];
+
+  projections.forEach(p => {
+    let existing = active[p.cauldronId];
+    // Seeking backwards in a replay starts the cauldron over rather than resolving the alert
+    if (existing && p.asOf < existing.updatedAt) {
+      delete active[p.cauldronId];
+      existing = null;
+    }
+    const lead = Number.isFinite(p.minutesToOverflow) ? leadTimeFor(p.minutesToOverflow, leadTimes) : null;
+    const overflowed = p.currentLevel >= p.maxVolume;
+
+    if (lead === null && !overflowed) {
+      if (existing) {
+        resolved.push({ ...existing, resolvedAt: p.asOf, outcome: existing.overflowed ? 'overflowed' : 'cleared' });
+        delete active[p.cauldronId];
+      }
+      return;
+    }
+
+    const effectiveLead = lead ?? Math.min(...leadTimes);
+    const update = {
+      minutesToOverflow: p.minutesToOverflow,
+      currentLevel: p.currentLevel,
+      maxVolume: p.maxVolume,
+      ratePerMinute: p.ratePerMinute,
+      updatedAt: p.asOf,
+      overflowed: Boolean(existing?.overflowed) || overflowed
+    };
+
+    if (!existing) {
+      const alert = {
+        id: `${p.cauldronId}@${p.asOf}`,
+        cauldronId: p.cauldronId,
+        name: p.name,
+        lead: effectiveLead,
+        severity: severityFor(effectiveLead, leadTimes),
+        raisedAt: p.asOf,
+        acknowledged: false,
+        snoozedUntil: null,
+        ...update
+      };
+      active[p.cauldronId] = alert;
+      raised.push(alert);
+    } else if (effectiveLead < existing.lead) {
+      const alert = {
+        ...existing,
+        ...update,
+        lead: effectiveLead,
+        severity: severityFor(effectiveLead, leadTimes),
+        escalatedAt: p.asOf,
+        acknowledged: false
+      };
+      active[p.cauldronId] = alert;
+      raised.push(alert);
+    } else {
+      active[p.cauldronId] = { ...existing, ...update };
+    }
+  });
+
+  return {
+    active,
+    history: resolved.length ? [...resolved.reverse(), ...state.history].slice(0, MAX_HISTORY) : state.history,
+    raised
+  };
+};
+
+export const acknowledgeAlert = (state, cauldronId) => {
+  if (!state.active[cauldronId]) return state;
+  return { ...state, active: { ...state.active, [cauldronId]: { ...state.active[cauldronId], acknowledged: true } }, raised: [] };
+};
+
+export const snoozeAlert = (state, cauldronId, minutes, wallNow = Date.now()) => {
+  if (!state.active[cauldronId]) return state;
+  const alert = { ...state.active[cauldronId], snoozedUntil: wallNow + minutes * 60000 };
+  return { ...state, active: { ...state.active, [cauldronId]: alert }, raised: [] };
+};
+
+export const loadAlertSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+    return { ...DEFAULT_ALERT_SETTINGS, ...stored };
+  } catch {
+    return DEFAULT_ALERT_SETTINGS;
+  }
+};
+
+export const saveAlertSettings = (settings) => {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.error('Could not save alert settings:', err);
+  }
+};
+
+export const loadAlertHistory = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(HISTORY_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveAlertHistory = (history) => {
+  try {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+  } catch (err) {
+    console.error('Could not save alert history:', err);
+  }
+};
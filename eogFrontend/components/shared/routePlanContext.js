@@ -0,0 +1,30 @@
+// The most recent courier route plan, shared between the optimizer that produces it and the map that
+// draws it. Like DataContext, panels outside a <DataProvider> fall back to a module-level store.
+
+import { createContext, useContext, useSyncExternalStore } from 'react';
+
+export const createRoutePlanStore = () => {
+  let plan = null;
+  const listeners = new Set();
+  return {
+    get: () => plan,
+    set: (next) => {
+      plan = next;
+      listeners.forEach(listener => listener());
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+};
+
+export const RoutePlanContext = createContext(createRoutePlanStore());
+
+// { routes, depot, dispatchedAt, generatedAt } or null until the optimizer has run
+export const useRoutePlan = () => {
+  const store = useContext(RoutePlanContext);
+  return useSyncExternalStore(store.subscribe, store.get);
+};
+
+export const usePublishRoutePlan = () => useContext(RoutePlanContext).set;
@@ -0,0 +1,76 @@
+// Minimal History API router for the dashboard shell. The current URL is an external store: navigate()
+// pushes or replaces a history entry and notifies subscribers, popstate covers back/forward.
+
+import { useMemo, useSyncExternalStore } from 'react';
+
+const listeners = new Set();
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  window.addEventListener('popstate', listener);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('popstate', listener);
+  };
+};
+
+const currentHref = () => `${window.location.pathname}${window.location.search}`;
+
+// `replace` rewrites the current entry, for view state that shouldn't flood the back button
+export const navigate = (to, { replace = false } = {}) => {
+  if (to === currentHref()) return;
+  window.history[replace ? 'replaceState' : 'pushState'](window.history.state, '', to);
+  listeners.forEach(listener => listener());
+};
+
+// { pathname, search, query: URLSearchParams }; re-renders on every navigation
+export const useLocation = () => {
+  const href = useSyncExternalStore(subscribe, currentHref);
+  return useMemo(() => {
+    const url = new URL(href, window.location.origin);
+    return { pathname: url.pathname, search: url.search, query: url.searchParams };
+  }, [href]);
+};
+
+// Path with the query built from `params`; empty and null values are left out
+export const withQuery = (pathname, params = {}) => {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') query.set(key, value);
+  });
+  const search = query.toString();
+  return search ? `${pathname}?${search}` : pathname;
+};
+
+// Patterns are literal segments and `:name` params, `:name?` for an optional trailing one
+const matchPath = (pattern, pathname) => {
+  const patternParts = pattern.split('/').filter(Boolean);
+  const pathParts = pathname.split('/').filter(Boolean);
+  if (pathParts.length > patternParts.length) return null;
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    const part = patternParts[i];
+    const value = pathParts[i];
+    if (part.startsWith(':')) {
+      const optional = part.endsWith('?');
+      const name = part.slice(1, optional ? -1 : undefined);
+      if (value === undefined) {
+        if (!optional) return null;
+        continue;
+      }
+      params[name] = decodeURIComponent(value);
+    } else if (part !== value) {
+      return null;
+    }
+  }
+  return params;
+};
+
+// First route whose `path` matches, with its params; null when none does
+export const matchRoute = (routes, pathname) => {
+  for (const route of routes) {
+    const params = matchPath(route.path, pathname);
+    if (params) return { route, params };
+  }
+  return null;
+};
@@ -0,0 +1,272 @@
+// Synthetic cauldron scenarios with known anomalies, for checking the drain and discrepancy detectors.
+//
+// generateScenario() simulates fill and courier drains minute by minute and returns data shaped like the
+// hackutd2025 feed (/Data entries, /Tickets, /Information/*) plus `labels`, the ground truth of every
+// drain, ticket and injected anomaly. Injectable anomalies:
+//   MISSING_TICKET   a real drain that no ticket reports
+//   INFLATED_TICKET  a ticket that reports more than was drained
+//   PHANTOM_DRAIN    a ticket for a drain that never happened
+//   flatlines        windows where a cauldron's sensor repeats its last reading
+// Same options and seed always give the same scenario. The module has no imports so the Node mock
+// server can load it directly.
+
+export const DEFAULT_SCENARIO = {
+  seed: 2025,
+  // 2025-10-30 00:00 UTC to 2025-11-08 21:40 UTC, the live dataset's window
+  start: 1761782400,
+  end: 1762638000,
+  intervalMinutes: 1,
+  cauldronCount: 12,
+  courierCount: 5,
+  fillRate: [0.15, 0.6],
+  // Relative sample-to-sample variation of each cauldron's fill rate
+  fillJitter: 0.2,
+  // Standard deviation (L) of the noise added to reported levels
+  sensorNoise: 0,
+  drainTrigger: [0.7, 0.85],
+  drainRate: [8, 14],
+  // Explicit [{ cauldronId, time (unix s), amount, courierId? }] replaces trigger-based drains
+  drainSchedule: null,
+  anomalies: {
+    missingTicketRate: 0,
+    inflatedTicketRate: 0,
+    inflation: [1.15, 1.5],
+    phantomDrains: 0,
+    flatlines: 0,
+    flatlineMinutes: [60, 240]
+  }
+};
+
+// A realistic mix of everything the detectors should catch
+export const ANOMALY_PRESET = {
+  missingTicketRate: 0.05,
+  inflatedTicketRate: 0.05,
+  inflation: [1.15, 1.5],
+  phantomDrains: 8,
+  flatlines: 3,
+  flatlineMinutes: [60, 240]
+};
+
+export const ANOMALY_TYPES = {
+  MISSING_TICKET: 'MISSING_TICKET',
+  INFLATED_TICKET: 'INFLATED_TICKET',
+  PHANTOM_DRAIN: 'PHANTOM_DRAIN'
+};
+
+const MARKET = {
+  id: 'market_001',
+  name: 'Enchanted Market',
+  latitude: 33.2148,
+  longitude: -97.1331,
+  description: 'Central potion market where couriers unload'
+};
+
+const COURIER_NAMES = ['Hazel Thornbury', 'Morgana Vale', 'Elspeth Quill', 'Briar Nightshade', 'Ysolde Fenwick', 'Tamsin Crowe', 'Odile Marsh', 'Wren Ashdown'];
+
+// mulberry32
+export const createRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const between = (random, [min, max]) => min + random() * (max - min);
+
+const gaussian = (random) => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+export const isoMinute = (seconds) => new Date(seconds * 1000).toISOString().replace('.000Z', 'Z');
+
+const haversineKm = (a, b) => {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLon = toRad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 12742 * Math.asin(Math.sqrt(h));
+};
+
+const buildCauldrons = (count, random) => Array.from({ length: count }, (_, i) => {
+  const angle = (2 * Math.PI * i) / count;
+  const radius = 0.02 + random() * 0.03;
+  return {
+    id: `cauldron_${String(i + 1).padStart(3, '0')}`,
+    name: `Cauldron ${i + 1}`,
+    latitude: round(MARKET.latitude + radius * Math.sin(angle), 6),
+    longitude: round(MARKET.longitude + radius * Math.cos(angle), 6),
+    max_volume: 600 + Math.round(random() * 12) * 50
+  };
+});
+
+const buildCouriers = (count, random) => Array.from({ length: count }, (_, i) => ({
+  courier_id: `courier_witch_${String(i + 1).padStart(2, '0')}`,
+  name: COURIER_NAMES[i % COURIER_NAMES.length],
+  max_carrying_capacity: 100 + Math.round(random() * 4) * 25
+}));
+
+// Fully connected; travel time scales with distance at roughly 30 km/h plus loading slack
+const buildNetwork = (cauldrons) => {
+  const nodes = [MARKET, ...cauldrons];
+  const edges = [];
+  nodes.forEach(from => {
+    nodes.forEach(to => {
+      if (from === to) return;
+      edges.push({ from: from.id, to: to.id, travel_time_minutes: Math.max(5, Math.round(haversineKm(from, to) * 2 + 3)) });
+    });
+  });
+  return { edges, description: 'Generated scenario network' };
+};
+
+export const generateScenario = (options = {}) => {
+  const opts = { ...DEFAULT_SCENARIO, ...options, anomalies: { ...DEFAULT_SCENARIO.anomalies, ...options.anomalies } };
+  const { start, end, anomalies } = opts;
+  const step = opts.intervalMinutes * 60;
+  const random = createRandom(opts.seed);
+
+  const cauldrons = buildCauldrons(opts.cauldronCount, random);
+  const couriers = buildCouriers(opts.courierCount, random);
+  const network = buildNetwork(cauldrons);
+
+  const flatlines = Array.from({ length: anomalies.flatlines }, () => {
+    const cauldron = cauldrons[Math.floor(random() * cauldrons.length)];
+    const minutes = Math.round(between(random, anomalies.flatlineMinutes));
+    const flatStart = start + Math.floor((random() * Math.max(0, end - start - minutes * 60)) / step) * step;
+    return { cauldronId: cauldron.id, startTime: flatStart, endTime: flatStart + minutes * 60 };
+  });
+
+  const schedule = opts.drainSchedule ? [...opts.drainSchedule].sort((a, b) => a.time - b.time) : null;
+  const state = cauldrons.map(c => ({
+    cauldron: c,
+    level: c.max_volume * (0.2 + random() * 0.4),
+    rate: between(random, opts.fillRate),
+    trigger: between(random, opts.drainTrigger),
+    drain: null,
+    pending: schedule ? schedule.filter(d => d.cauldronId === c.id) : null,
+    frozenLevel: null
+  }));
+
+  const levels = [];
+  const drains = [];
+  for (let t = start; t <= end; t += step) {
+    const cauldronLevels = {};
+    state.forEach(s => {
+      s.level += s.rate * opts.intervalMinutes * (1 + opts.fillJitter * (2 * random() - 1));
+
+      if (!s.drain) {
+        let planned = null;
+        if (s.pending) {
+          if (s.pending.length && s.pending[0].time <= t) planned = s.pending.shift();
+        } else if (s.level >= s.cauldron.max_volume * s.trigger) {
+          planned = {};
+        }
+        if (planned) {
+          const courier = couriers.find(c => c.courier_id === planned.courierId) || couriers[Math.floor(random() * couriers.length)];
+          const amount = Math.min(planned.amount ?? courier.max_carrying_capacity, s.level * 0.9);
+          s.drain = { courier, target: amount, total: 0, rate: between(random, opts.drainRate), startTime: t };
+        }
+      }
+      if (s.drain) {
+        const take = Math.min(s.drain.rate * opts.intervalMinutes, s.drain.target - s.drain.total, s.level);
+        s.level -= take;
+        s.drain.total += take;
+        if (s.drain.total >= s.drain.target - 1e-6 || s.level <= 0) {
+          drains.push({ cauldronId: s.cauldron.id, courierId: s.drain.courier.courier_id, startTime: s.drain.startTime, endTime: t, volume: s.drain.total });
+          s.drain = null;
+        }
+      }
+      s.level = Math.min(s.cauldron.max_volume, Math.max(0, s.level));
+
+      const flat = flatlines.some(f => f.cauldronId === s.cauldron.id && t >= f.startTime && t <= f.endTime);
+      if (flat) {
+        if (s.frozenLevel === null) s.frozenLevel = levels.length ? levels[levels.length - 1].cauldron_levels[s.cauldron.id] : round(s.level);
+        cauldronLevels[s.cauldron.id] = s.frozenLevel;
+      } else {
+        s.frozenLevel = null;
+        const noisy = s.level + (opts.sensorNoise ? opts.sensorNoise * gaussian(random) : 0);
+        cauldronLevels[s.cauldron.id] = round(Math.max(0, noisy));
+      }
+    });
+    levels.push({ timestamp: isoMinute(t), cauldron_levels: cauldronLevels });
+  }
+
+  // Tickets for real drains, with missing and inflated ones injected
+  const drainLabels = drains.map((d, i) => ({
+    id: `drain_${String(i + 1).padStart(4, '0')}`,
+    ...d,
+    volume: round(d.volume),
+    // Drains under a flatlined sensor cannot be seen in the level data
+    observable: !flatlines.some(f => f.cauldronId === d.cauldronId && d.startTime <= f.endTime && d.endTime >= f.startTime),
+    ticketId: null,
+    anomaly: null
+  }));
+
+  const rawTickets = [];
+  drainLabels.forEach(drain => {
+    const roll = random();
+    if (roll < anomalies.missingTicketRate) {
+      drain.anomaly = ANOMALY_TYPES.MISSING_TICKET;
+      return;
+    }
+    let amount = drain.volume;
+    if (roll < anomalies.missingTicketRate + anomalies.inflatedTicketRate) {
+      drain.anomaly = ANOMALY_TYPES.INFLATED_TICKET;
+      amount = drain.volume * between(random, anomalies.inflation);
+    }
+    rawTickets.push({ drain, cauldronId: drain.cauldronId, courierId: drain.courierId, amount, time: drain.startTime, anomaly: drain.anomaly });
+  });
+
+  for (let i = 0; i < anomalies.phantomDrains; i++) {
+    const cauldron = cauldrons[Math.floor(random() * cauldrons.length)];
+    const courier = couriers[Math.floor(random() * couriers.length)];
+    rawTickets.push({
+      drain: null,
+      cauldronId: cauldron.id,
+      courierId: courier.courier_id,
+      amount: courier.max_carrying_capacity * (0.6 + random() * 0.4),
+      time: start + random() * (end - start),
+      anomaly: ANOMALY_TYPES.PHANTOM_DRAIN
+    });
+  }
+  rawTickets.sort((a, b) => a.time - b.time);
+
+  const perDay = {};
+  const ticketLabels = [];
+  const transportTickets = rawTickets.map(raw => {
+    const date = isoMinute(raw.time).slice(0, 10);
+    const day = date.replaceAll('-', '');
+    perDay[day] = (perDay[day] || 0) + 1;
+    const ticketId = `TT_${day}_${String(perDay[day]).padStart(3, '0')}`;
+    if (raw.drain) raw.drain.ticketId = ticketId;
+    ticketLabels.push({
+      ticketId,
+      drainId: raw.drain ? raw.drain.id : null,
+      cauldronId: raw.cauldronId,
+      date,
+      trueAmount: raw.drain ? raw.drain.volume : 0,
+      reportedAmount: round(raw.amount),
+      anomaly: raw.anomaly
+    });
+    return { ticket_id: ticketId, cauldron_id: raw.cauldronId, amount_collected: round(raw.amount), courier_id: raw.courierId, date };
+  });
+
+  return {
+    metadata: { start_date: isoMinute(start), end_date: isoMinute(end), interval_minutes: opts.intervalMinutes, unit: 'liters' },
+    cauldrons,
+    market: MARKET,
+    network,
+    couriers,
+    tickets: { metadata: { total_tickets: transportTickets.length, source: 'scenario' }, transport_tickets: transportTickets },
+    levels,
+    labels: {
+      drains: drainLabels.map(d => ({ ...d, startTime: isoMinute(d.startTime), endTime: isoMinute(d.endTime) })),
+      tickets: ticketLabels,
+      flatlines: flatlines.map(f => ({ ...f, startTime: isoMinute(f.startTime), endTime: isoMinute(f.endTime) })),
+      options: opts
+    }
+  };
+};
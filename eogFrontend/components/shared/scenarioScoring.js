@@ -0,0 +1,169 @@
+// Scores the dashboard's detectors against a generated scenario's ground-truth labels.
+//
+// scoreDrainDetection  detected drain events vs. the real drains (CauldronWatch's drain markers)
+// scoreTicketMatching  per-ticket matcher output vs. the injected ticket anomalies
+// scoreDailyResults    /compare-style daily rows vs. the cauldron-days that contain an anomaly
+// runScenarioBenchmark runs the client-side detectors on a scenario and returns all of the above
+
+import { detectDrainsForCauldrons, utcDateKey } from './drainDetection.js';
+import { drainKey, matchTicketsToDrains } from './ticketMatching.js';
+import { ANOMALY_TYPES } from './scenarioGenerator.js';
+
+export const DEFAULT_SCORING_OPTIONS = {
+  // Slack allowed between a detected drain window and the real one
+  toleranceMinutes: 10,
+  // A matched ticket counts as flagged inflated when it exceeds the drain by this fraction
+  inflationTolerance: 0.1
+};
+
+const toMillis = (time) => (typeof time === 'number' ? time : new Date(time).getTime());
+
+const ratio = (num, den) => (den ? num / den : null);
+
+const f1 = (precision, recall) => (precision && recall ? (2 * precision * recall) / (precision + recall) : 0);
+
+// Pairs each detected drain with the real drain it overlaps most (one-to-one)
+export const scoreDrainDetection = (labels, detected, options = {}) => {
+  const { toleranceMinutes } = { ...DEFAULT_SCORING_OPTIONS, ...options };
+  const slack = toleranceMinutes * 60000;
+  const truth = labels.drains.filter(d => d.observable);
+
+  const candidates = [];
+  detected.forEach((event, i) => {
+    const eventStart = toMillis(event.startTime);
+    const eventEnd = toMillis(event.endTime);
+    truth.forEach((drain, j) => {
+      if (drain.cauldronId !== event.cauldronId) return;
+      const overlap = Math.min(eventEnd, toMillis(drain.endTime) + slack) - Math.max(eventStart, toMillis(drain.startTime) - slack);
+      if (overlap >= 0) candidates.push({ i, j, overlap });
+    });
+  });
+  candidates.sort((a, b) => b.overlap - a.overlap);
+
+  const usedDetected = new Set();
+  const usedTruth = new Set();
+  const pairs = [];
+  candidates.forEach(({ i, j }) => {
+    if (usedDetected.has(i) || usedTruth.has(j)) return;
+    usedDetected.add(i);
+    usedTruth.add(j);
+    pairs.push({ detected: detected[i], truth: truth[j], volumeError: detected[i].drainedVolume - truth[j].volume });
+  });
+
+  const precision = ratio(pairs.length, detected.length);
+  const recall = ratio(pairs.length, truth.length);
+  return {
+    pairs,
+    truePositives: pairs.length,
+    falsePositives: detected.length - pairs.length,
+    falseNegatives: truth.length - pairs.length,
+    hiddenByFlatline: labels.drains.length - truth.length,
+    precision,
+    recall,
+    f1: f1(precision, recall),
+    meanAbsVolumeError: pairs.length ? pairs.reduce((sum, p) => sum + Math.abs(p.volumeError), 0) / pairs.length : null
+  };
+};
+
+export const scoreTicketMatching = (labels, matching, drainScore, options = {}) => {
+  const { inflationTolerance } = { ...DEFAULT_SCORING_OPTIONS, ...options };
+  const truthByDetected = new Map(drainScore.pairs.map(p => [drainKey(p.detected), p.truth]));
+  const matchByTicket = new Map(matching.matches.map(m => [m.ticket.ticket_id, m]));
+  const unmatchedTicketIds = new Set(matching.unmatchedTickets.map(u => u.ticket.ticket_id));
+  const unmatchedDrainKeys = new Set(matching.unmatchedDrains.map(u => drainKey(u.drain)));
+  const detectedByTruth = new Map(drainScore.pairs.map(p => [p.truth.id, p.detected]));
+
+  const isInflated = (match) => match && match.volumeDifference > inflationTolerance * match.drain.drainedVolume;
+
+  // Pairing accuracy over tickets whose real drain was detected at all
+  let pairable = 0;
+  let correctPairs = 0;
+  const byAnomaly = {
+    [ANOMALY_TYPES.MISSING_TICKET]: { expected: 0, caught: 0 },
+    [ANOMALY_TYPES.INFLATED_TICKET]: { expected: 0, caught: 0 },
+    [ANOMALY_TYPES.PHANTOM_DRAIN]: { expected: 0, caught: 0 }
+  };
+  let falseAlarms = 0;
+
+  labels.tickets.forEach(label => {
+    const match = matchByTicket.get(label.ticketId);
+    if (label.drainId && detectedByTruth.has(label.drainId)) {
+      pairable++;
+      const truth = match ? truthByDetected.get(drainKey(match.drain)) : null;
+      if (truth && truth.id === label.drainId) correctPairs++;
+    }
+    if (label.anomaly === ANOMALY_TYPES.PHANTOM_DRAIN) {
+      byAnomaly.PHANTOM_DRAIN.expected++;
+      if (unmatchedTicketIds.has(label.ticketId)) byAnomaly.PHANTOM_DRAIN.caught++;
+    } else if (label.anomaly === ANOMALY_TYPES.INFLATED_TICKET) {
+      byAnomaly.INFLATED_TICKET.expected++;
+      if (isInflated(match)) byAnomaly.INFLATED_TICKET.caught++;
+    } else if (unmatchedTicketIds.has(label.ticketId) || isInflated(match)) {
+      falseAlarms++;
+    }
+  });
+
+  labels.drains.forEach(drain => {
+    const detected = detectedByTruth.get(drain.id);
+    if (drain.anomaly === ANOMALY_TYPES.MISSING_TICKET) {
+      byAnomaly.MISSING_TICKET.expected++;
+      if (detected && unmatchedDrainKeys.has(drainKey(detected))) byAnomaly.MISSING_TICKET.caught++;
+    } else if (detected && unmatchedDrainKeys.has(drainKey(detected))) {
+      falseAlarms++;
+    }
+  });
+
+  Object.values(byAnomaly).forEach(entry => { entry.recall = ratio(entry.caught, entry.expected); });
+
+  return {
+    pairingAccuracy: ratio(correctPairs, pairable),
+    pairable,
+    correctPairs,
+    anomalies: byAnomaly,
+    falseAlarms
+  };
+};
+
+// `results` are rows like the /compare endpoint's: { cauldron_id, date, status }
+export const scoreDailyResults = (labels, results) => {
+  const anomalous = new Set();
+  labels.drains.forEach(d => {
+    if (d.anomaly) anomalous.add(`${d.cauldronId}|${utcDateKey(d.startTime)}`);
+  });
+  labels.tickets.forEach(t => {
+    if (t.anomaly === ANOMALY_TYPES.PHANTOM_DRAIN) anomalous.add(`${t.cauldronId}|${t.date}`);
+  });
+
+  const flagged = new Set(
+    results.filter(r => r.status !== 'MATCH' && r.status !== 'NO_DATA').map(r => `${r.cauldron_id}|${r.date}`)
+  );
+  const truePositives = [...flagged].filter(key => anomalous.has(key)).length;
+  const precision = ratio(truePositives, flagged.size);
+  const recall = ratio(truePositives, anomalous.size);
+  return {
+    anomalousDays: anomalous.size,
+    flaggedDays: flagged.size,
+    truePositives,
+    falsePositives: flagged.size - truePositives,
+    falseNegatives: anomalous.size - truePositives,
+    precision,
+    recall,
+    f1: f1(precision, recall)
+  };
+};
+
+export const runScenarioBenchmark = (scenario, { drainParams, matchOptions, scoring } = {}) => {
+  const detected = detectDrainsForCauldrons(scenario.levels, drainParams);
+  const matching = matchTicketsToDrains({
+    tickets: scenario.tickets.transport_tickets,
+    drains: detected,
+    couriers: scenario.couriers,
+    options: matchOptions
+  });
+  const drainDetection = scoreDrainDetection(scenario.labels, detected, scoring);
+  return {
+    drainDetection,
+    ticketMatching: scoreTicketMatching(scenario.labels, matching, drainDetection, scoring),
+    matching
+  };
+};
@@ -0,0 +1,264 @@
+// One-to-one matching of transport tickets to detected drain events.
+//
+// Daily totals let two wrong tickets cancel out; here every ticket is paired with at most one drain
+// on the same cauldron. Each candidate pair gets a score from time proximity, volume similarity and
+// whether the ticket's courier could have carried that load, and the pairing that maximizes the total
+// score is found per cauldron with the Hungarian algorithm. Pairs scoring below `minScore` are never
+// made: a ticket without a plausible drain is reported unmatched (and so is the drain) rather than
+// forced onto whatever is nearby.
+//
+// Feed tickets carry a date but no time. Their time score within a day comes from order instead: the
+// feed numbers tickets in filing order, so the k-th ticket of a cauldron's day should be about its k-th
+// drain that day.
+
+import { utcDateKey } from './drainDetection.js';
+
+export const DEFAULT_MATCH_OPTIONS = {
+  maxGapMinutes: 240,
+  // Date-only tickets pair with drains running on their date; raise to also consider neighbouring days
+  maxGapDays: 0,
+  timeScaleMinutes: 60,
+  // Same-day time score of a date-only ticket falls to about 0.37 per position its drain is out of order
+  sequenceScale: 1,
+  volumeScale: 0.2,
+  // Pairs scoring below this are left unmatched on both sides
+  minScore: 0.4,
+  weights: { time: 0.35, volume: 0.45, courier: 0.2 }
+};
+
+const DAY_MS = 24 * 3600 * 1000;
+// Ticket ids sort by their embedded sequence number (TT_20251030_002 before TT_20251030_010)
+const ticketOrder = new Intl.Collator('en', { numeric: true });
+
+// Tickets from the feed usually carry only a date; those are matched by day instead of by minute
+const isDateOnly = (value) => typeof value === 'string' && (!value.includes('T') || /T00:00(:00(\.0+)?)?(Z|[+-]00:?00)?$/.test(value));
+
+const toMillis = (time) => (time instanceof Date ? time.getTime() : new Date(time).getTime());
+
+// The feed's timestamps are UTC even when they omit the offset
+const parseTicketTime = (value) => {
+  if (typeof value === 'string' && value.includes('T') && !/(Z|[+-]\d\d:?\d\d)$/.test(value)) {
+    return Date.parse(`${value}Z`);
+  }
+  return toMillis(value);
+};
+
+export const drainKey = (drain) => `${drain.cauldronId}@${toMillis(drain.startTime)}`;
+
+// Rank of each item among those sharing its day, in `compare` order: Map item -> { rank, count }
+const dayPositions = (items, dayOf, compare) => {
+  const byDay = new Map();
+  items.forEach(item => {
+    const day = dayOf(item);
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(item);
+  });
+  const positions = new Map();
+  byDay.forEach(group => {
+    group.sort(compare).forEach((item, rank) => positions.set(item, { rank, count: group.length }));
+  });
+  return positions;
+};
+
+// Drains are ranked on the day they start, the day a ticket for them is dated
+const drainDay = (drain) => utcDateKey(drain.startTime);
+
+// 1 when the drain's rank fits the ticket's, allowing for as many skipped positions as the day has
+// surplus drains (missing tickets) or surplus tickets (phantom drains); decays per position beyond that
+const sequenceScore = (ticketPosition, drainPosition, scale) => {
+  if (!ticketPosition || !drainPosition) return 1;
+  const surplus = drainPosition.count - ticketPosition.count;
+  const low = ticketPosition.rank + Math.min(0, surplus);
+  const high = ticketPosition.rank + Math.max(0, surplus);
+  const outside = Math.max(0, low - drainPosition.rank, drainPosition.rank - high);
+  return Math.exp(-outside / scale);
+};
+
+// `positions` holds the same-day ranks of date-only tickets and of drains, from dayPositions
+const timeScore = (ticket, drain, options, positions) => {
+  if (ticket.dateOnly) {
+    // Days between the ticket's date and the drain, 0 when the drain runs on that date
+    const dayOf = (key) => Date.parse(key) / DAY_MS;
+    const ticketDay = dayOf(ticket.dateKey);
+    const days = Math.round(Math.max(0, dayOf(drainDay(drain)) - ticketDay, ticketDay - dayOf(utcDateKey(drain.endTime))));
+    if (days > options.maxGapDays) return null;
+    if (days !== 0) return 0.3 / days;
+    // A drain that started the day before has no rank among this day's drains
+    if (!positions || drainDay(drain) !== ticket.dateKey) return 1;
+    return sequenceScore(positions.get(ticket), positions.get(drain), options.sequenceScale);
+  }
+  const gap = Math.abs(ticket.time - toMillis(drain.endTime)) / 60000;
+  if (gap > options.maxGapMinutes) return null;
+  return Math.exp(-gap / options.timeScaleMinutes);
+};
+
+// Decays with the relative volume difference; at the default scale a 20% gap scores about 0.37
+const volumeScore = (amount, drained, scale) => {
+  const larger = Math.max(amount, drained);
+  if (larger <= 0) return 1;
+  return Math.exp(-Math.abs(amount - drained) / larger / scale);
+};
+
+// 1 when the courier could carry the ticket's amount, 0 when it exceeds their capacity, 0.5 if unknown
+const courierScore = (ticket, couriersById) => {
+  const courier = couriersById[ticket.courier_id];
+  if (!courier || !courier.max_carrying_capacity) return 0.5;
+  return ticket.amount_collected <= courier.max_carrying_capacity ? 1 : 0;
+};
+
+export const scorePair = (ticket, drain, couriersById, options = DEFAULT_MATCH_OPTIONS, positions = null) => {
+  const time = timeScore(ticket, drain, options, positions);
+  if (time === null) return null;
+  const volume = volumeScore(ticket.amount_collected, drain.drainedVolume, options.volumeScale);
+  const courier = courierScore(ticket, couriersById);
+  const { weights } = options;
+  return {
+    score: weights.time * time + weights.volume * volume + weights.courier * courier,
+    components: { time, volume, courier }
+  };
+};
+
+// Minimum-cost perfect assignment on a square matrix (Hungarian algorithm with potentials).
+// Returns assignment[row] = column.
+export const solveAssignment = (cost) => {
+  const n = cost.length;
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(n + 1).fill(0);
+  const p = new Array(n + 1).fill(0);
+  const way = new Array(n + 1).fill(0);
+
+  for (let i = 1; i <= n; i++) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Array(n + 1).fill(Infinity);
+    const used = new Array(n + 1).fill(false);
+    do {
+      used[j0] = true;
+      const i0 = p[j0];
+      let delta = Infinity;
+      let j1 = 0;
+      for (let j = 1; j <= n; j++) {
+        if (used[j]) continue;
+        const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+        if (cur < minv[j]) {
+          minv[j] = cur;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+      for (let j = 0; j <= n; j++) {
+        if (used[j]) {
+          u[p[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (p[j0] !== 0);
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
+
+  const assignment = new Array(n).fill(-1);
+  for (let j = 1; j <= n; j++) {
+    if (p[j]) assignment[p[j] - 1] = j - 1;
+  }
+  return assignment;
+};
+
+// `drains` are drain events from detectDrainEvents(ByDay) tagged with cauldronId
+export const matchTicketsToDrains = ({ tickets, drains, couriers = [], options = {} }) => {
+  const opts = { ...DEFAULT_MATCH_OPTIONS, ...options, weights: { ...DEFAULT_MATCH_OPTIONS.weights, ...options.weights } };
+  const couriersById = {};
+  couriers.forEach(c => { couriersById[c.courier_id] = c; });
+
+  const prepared = tickets.map(t => {
+    const time = parseTicketTime(t.date);
+    return {
+      ...t,
+      amount_collected: Number(t.amount_collected) || 0,
+      time,
+      dateKey: utcDateKey(time),
+      dateOnly: isDateOnly(typeof t.date === 'string' ? t.date : new Date(time).toISOString())
+    };
+  });
+
+  const cauldronIds = new Set([...prepared.map(t => t.cauldron_id), ...drains.map(d => d.cauldronId)]);
+  const matches = [];
+  const unmatchedTickets = [];
+  const unmatchedDrains = [];
+
+  cauldronIds.forEach(cauldronId => {
+    const cTickets = prepared.filter(t => t.cauldron_id === cauldronId);
+    const cDrains = drains.filter(d => d.cauldronId === cauldronId);
+    const positions = new Map([
+      ...dayPositions(cTickets.filter(t => t.dateOnly), t => t.dateKey, (a, b) => ticketOrder.compare(a.ticket_id, b.ticket_id)),
+      ...dayPositions(cDrains, drainDay, (a, b) => toMillis(a.startTime) - toMillis(b.startTime))
+    ]);
+    const scores = cTickets.map(t => cDrains.map(d => scorePair(t, d, couriersById, opts, positions)));
+    const eligible = (pair) => pair && pair.score >= opts.minScore;
+
+    // Rows are tickets plus one "unmatched" slot per drain, columns drains plus one slot per ticket.
+    // Leaving either side unmatched costs 1 - minScore, so only pairs above minScore are worth making.
+    const size = cTickets.length + cDrains.length;
+    const unmatchedCost = 1 - opts.minScore;
+    const cost = Array.from({ length: size }, (_, i) =>
+      Array.from({ length: size }, (_, j) => {
+        if (i < cTickets.length && j < cDrains.length) {
+          const pair = scores[i][j];
+          return eligible(pair) ? 1 - pair.score : Infinity;
+        }
+        // A dummy row meeting a dummy column is free, so every real item can take its unmatched slot
+        return i >= cTickets.length && j >= cDrains.length ? 0 : unmatchedCost;
+      })
+    );
+    const assignment = size ? solveAssignment(cost) : [];
+
+    const matchedDrains = new Set();
+    cTickets.forEach((ticket, i) => {
+      const j = assignment[i];
+      const pair = j >= 0 && j < cDrains.length ? scores[i][j] : null;
+      if (eligible(pair)) {
+        const drain = cDrains[j];
+        matchedDrains.add(j);
+        matches.push({
+          ticket,
+          drain,
+          cauldronId,
+          score: pair.score,
+          components: pair.components,
+          volumeDifference: ticket.amount_collected - drain.drainedVolume
+        });
+      } else {
+        const best = scores[i].reduce((max, s) => (s && s.score > max ? s.score : max), 0);
+        unmatchedTickets.push({ ticket, cauldronId, bestScore: best });
+      }
+    });
+    cDrains.forEach((drain, j) => {
+      if (!matchedDrains.has(j)) unmatchedDrains.push({ drain, cauldronId });
+    });
+  });
+
+  matches.sort((a, b) => toMillis(a.drain.startTime) - toMillis(b.drain.startTime));
+
+  return {
+    matches,
+    unmatchedTickets,
+    unmatchedDrains,
+    summary: {
+      tickets: prepared.length,
+      drains: drains.length,
+      matched: matches.length,
+      unmatchedTickets: unmatchedTickets.length,
+      unmatchedDrains: unmatchedDrains.length,
+      averageScore: matches.length ? matches.reduce((sum, m) => sum + m.score, 0) / matches.length : 0
+    }
+  };
+};
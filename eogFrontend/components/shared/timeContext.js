@@ -0,0 +1,98 @@
+// App-wide notion of "when": a selected instant, the range around it and the time zone dates are shown
+// and entered in. Every view reads and updates the same store, so moving to a date in one view moves
+// them all. Like the route plan, panels outside a <DataProvider> fall back to a module-level store.
+
+import { createContext, useContext, useMemo, useSyncExternalStore } from 'react';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc';
+import timezone from 'dayjs/plugin/timezone';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// The feed's dataset (Oct 30 00:00 UTC → Nov 8 22:00 UTC), in unix seconds
+export const DATASET_RANGE = { start: 1761782400, end: 1762638000 };
+
+export const LOCAL_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+export const TIME_ZONES = [...new Set(['UTC', LOCAL_TIME_ZONE])];
+
+const DEFAULT_TIME = { instant: DATASET_RANGE.start, range: DATASET_RANGE, timeZone: 'UTC' };
+
+// Instant and range are unix seconds. The instant always lies inside the range: moving the instant past
+// either end slides the range along with it, and a new range pulls the instant inside.
+export const createTimeStore = (initial = DEFAULT_TIME) => {
+  let time = initial;
+  const listeners = new Set();
+
+  const update = (next) => {
+    if (next.instant === time.instant && next.range === time.range && next.timeZone === time.timeZone) return;
+    time = next;
+    listeners.forEach(listener => listener());
+  };
+
+  return {
+    get: () => time,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    // Takes a value or, like setState, a function of the current instant
+    setInstant: (next) => {
+      const instant = typeof next === 'function' ? next(time.instant) : next;
+      if (!Number.isFinite(instant)) return;
+      const { start, end } = time.range;
+      const length = end - start;
+      let range = time.range;
+      if (instant < start) range = { start: instant, end: instant + length };
+      else if (instant > end) range = { start: instant - length, end: instant };
+      update({ ...time, instant, range });
+    },
+    setRange: (start, end) => {
+      if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) return;
+      const range = start === time.range.start && end === time.range.end ? time.range : { start, end };
+      update({ ...time, range, instant: Math.min(end, Math.max(start, time.instant)) });
+    },
+    setTimeZone: (timeZone) => update({ ...time, timeZone })
+  };
+};
+
+export const TimeContext = createContext(createTimeStore());
+
+// { instant, range, timeZone, setInstant, setRange, setTimeZone }
+export const useTime = () => {
+  const store = useContext(TimeContext);
+  const time = useSyncExternalStore(store.subscribe, store.get);
+  return useMemo(
+    () => ({ ...time, setInstant: store.setInstant, setRange: store.setRange, setTimeZone: store.setTimeZone }),
+    [time, store]
+  );
+};
+
+// Formatting and <input> conversions in the selected zone; times are unix seconds
+export const formatInstant = (seconds, timeZone, format = 'MMM D, YYYY, hh:mm:ss A') =>
+  `${dayjs.unix(seconds).tz(timeZone).format(format)} ${timeZone}`;
+
+export const toDateInput = (seconds, timeZone) => dayjs.unix(seconds).tz(timeZone).format('YYYY-MM-DD');
+
+export const toDateTimeInput = (seconds, timeZone) => dayjs.unix(seconds).tz(timeZone).format('YYYY-MM-DDTHH:mm');
+
+// NaN when the value doesn't parse
+export const fromDateTimeInput = (value, timeZone) => {
+  // dayjs.tz throws instead of returning an invalid date
+  if (!value || !dayjs(value).isValid()) return NaN;
+  return dayjs.tz(value, timeZone).unix();
+};
+
+// Whole days from `startDate` 00:00 to the last second of `endDate`, in the zone
+export const rangeFromDates = (startDate, endDate, timeZone) => {
+  const lastDay = fromDateTimeInput(`${endDate}T00:00`, timeZone);
+  return {
+    start: fromDateTimeInput(`${startDate}T00:00`, timeZone),
+    end: Number.isNaN(lastDay) ? NaN : dayjs.unix(lastDay).tz(timeZone).add(1, 'day').unix() - 1
+  };
+};
+
+export const datesFromRange = (range, timeZone) => ({
+  startDate: toDateInput(range.start, timeZone),
+  endDate: toDateInput(range.end, timeZone)
+});
@@ -0,0 +1,82 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { formatMinutes } from '../outputBonus/fillRateModel';
+import {
+  acknowledgeAlert,
+  applyProjections,
+  createAlertState,
+  isSnoozed,
+  loadAlertSettings,
+  projectOverflows,
+  saveAlertHistory,
+  saveAlertSettings,
+  snoozeAlert
+} from './overflowAlerts';
+
+const toMillis = (timestamp) => (typeof timestamp === 'number' ? timestamp : Date.parse(timestamp));
+
+const notify = (alert) => {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  try {
+    // One notification per cauldron; an escalation replaces the earlier one
+    new Notification(`⚠️ ${alert.name} overflows in ~${formatMinutes(alert.minutesToOverflow)}`, {
+      body: `${alert.currentLevel.toFixed(0)} / ${alert.maxVolume} L, filling at up to ${alert.ratePerMinute.toFixed(2)} L/min`,
+      tag: `overflow-${alert.cauldronId}`
+    });
+  } catch (err) {
+    console.warn('Notification failed:', err);
+  }
+};
+
+// Alert state for a cauldron network. `history` is /api/Data-shaped, sorted, and ends at the newest
+// reading; pass a new array whenever a reading arrives, or null while loading.
+export const useOverflowAlerts = (history, cauldrons) => {
+  const [settings, setSettings] = useState(loadAlertSettings);
+  const [state, setState] = useState(createAlertState);
+  const notificationsRef = useRef(settings.notifications);
+  notificationsRef.current = settings.notifications;
+
+  const projections = useMemo(() => {
+    if (!history || history.length === 0 || cauldrons.length === 0) return null;
+    const windowStart = toMillis(history[history.length - 1].timestamp) - settings.trendWindowMinutes * 60000;
+    const recent = history.filter(entry => toMillis(entry.timestamp) >= windowStart);
+    return projectOverflows(recent, cauldrons);
+  }, [history, cauldrons, settings.trendWindowMinutes]);
+
+  useEffect(() => {
+    if (!projections) return;
+    setState(prev => applyProjections(prev, projections, settings));
+  }, [projections, settings]);
+
+  useEffect(() => {
+    if (!notificationsRef.current) return;
+    state.raised.filter(alert => !isSnoozed(alert)).forEach(notify);
+  }, [state.raised]);
+
+  useEffect(() => {
+    saveAlertHistory(state.history);
+  }, [state.history]);
+
+  const updateSettings = useCallback((next) => {
+    setSettings(next);
+    saveAlertSettings(next);
+    // Permission can only be requested from a user gesture, i.e. the toggle itself
+    if (next.notifications && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+      Notification.requestPermission();
+    }
+  }, []);
+
+  const acknowledge = useCallback((cauldronId) => setState(prev => acknowledgeAlert(prev, cauldronId)), []);
+  const snooze = useCallback((cauldronId, minutes) => setState(prev => snoozeAlert(prev, cauldronId, minutes)), []);
+  const clearHistory = useCallback(() => setState(prev => ({ ...prev, history: [], raised: [] })), []);
+
+  return {
+    projections,
+    settings,
+    updateSettings,
+    alerts: state.active,
+    history: state.history,
+    acknowledge,
+    snooze,
+    clearHistory
+  };
+};
@@ -0,0 +1,64 @@
+// Scores the drain detector and ticket matcher against a generated scenario with injected anomalies.
+//
+//   npm run benchmark                                  # default seed
+//   MOCK_SEED=7 npm run benchmark                      # another scenario
+//   npm run benchmark -- compare.json                  # also score a saved /compare response for it
+//
+// Exits non-zero when the matcher pairs fewer than MIN_PAIRING_ACCURACY of the tickets with their real
+// drain, or when its `minScore` leaves fewer missing tickets or phantom drains unmatched than pairing
+// every candidate would, i.e. when the threshold stops anomalies from surfacing.
+//
+// The scenario is the one `MOCK_ANOMALIES=1 npm run mock` serves for the same seed, so a /compare run
+// against the mock can be saved and scored here as well.
+
+import fs from 'node:fs';
+import { generateFixtures } from './fixtures.js';
+import { runScenarioBenchmark, scoreDailyResults } from '../components/shared/scenarioScoring.js';
+import { ANOMALY_TYPES } from '../components/shared/scenarioGenerator.js';
+
+const MIN_PAIRING_ACCURACY = 0.9;
+
+const percent = (value) => (value === null ? '–' : `${(value * 100).toFixed(1)}%`);
+
+const scenario = generateFixtures({ seed: Number(process.env.MOCK_SEED) || undefined, anomalies: true });
+const { drainDetection, ticketMatching } = runScenarioBenchmark(scenario);
+
+console.log(`Scenario seed ${scenario.labels.options.seed}: ${scenario.labels.drains.length} drains, ${scenario.labels.tickets.length} tickets`);
+console.log('\nDrain detection');
+console.log(`  precision ${percent(drainDetection.precision)}  recall ${percent(drainDetection.recall)}  F1 ${percent(drainDetection.f1)}`);
+console.log(`  ${drainDetection.falsePositives} false positives, ${drainDetection.falseNegatives} missed, ${drainDetection.hiddenByFlatline} hidden by flatlines`);
+console.log(`  mean |volume error| ${drainDetection.meanAbsVolumeError?.toFixed(1) ?? '–'} L`);
+
+console.log('\nTicket matching');
+console.log(`  pairing accuracy ${percent(ticketMatching.pairingAccuracy)} (${ticketMatching.correctPairs}/${ticketMatching.pairable})`);
+Object.entries(ticketMatching.anomalies).forEach(([type, { expected, caught, recall }]) => {
+  console.log(`  ${type.padEnd(16)} caught ${caught}/${expected} (${percent(recall)})`);
+});
+console.log(`  ${ticketMatching.falseAlarms} false alarms`);
+
+// Anomalies that should come out unmatched, against a run that pairs everything in reach
+const pairAll = runScenarioBenchmark(scenario, { matchOptions: { minScore: 0 } }).ticketMatching;
+const unmatchedAnomalies = [ANOMALY_TYPES.MISSING_TICKET, ANOMALY_TYPES.PHANTOM_DRAIN];
+const regressed = unmatchedAnomalies.filter(type => ticketMatching.anomalies[type].caught < pairAll.anomalies[type].caught);
+console.log('\nUnmatched anomalies');
+unmatchedAnomalies.forEach(type => {
+  const { expected, caught } = ticketMatching.anomalies[type];
+  console.log(`  ${type.padEnd(16)} ${caught}/${expected} (pairing everything: ${pairAll.anomalies[type].caught}/${expected})`);
+});
+if (regressed.length) {
+  console.error(`\nminScore pairs away anomalies that should stay unmatched: ${regressed.join(', ')}`);
+  process.exitCode = 1;
+}
+if (!(ticketMatching.pairingAccuracy >= MIN_PAIRING_ACCURACY)) {
+  console.error(`\nPairing accuracy ${percent(ticketMatching.pairingAccuracy)} is below ${percent(MIN_PAIRING_ACCURACY)}`);
+  process.exitCode = 1;
+}
+
+const resultsFile = process.argv[2];
+if (resultsFile) {
+  const saved = JSON.parse(fs.readFileSync(resultsFile, 'utf8'));
+  const daily = scoreDailyResults(scenario.labels, Array.isArray(saved) ? saved : saved.results || []);
+  console.log(`\nDaily results (${resultsFile})`);
+  console.log(`  precision ${percent(daily.precision)}  recall ${percent(daily.recall)}  F1 ${percent(daily.f1)}`);
+  console.log(`  ${daily.flaggedDays} flagged of ${daily.anomalousDays} anomalous cauldron-days, ${daily.falsePositives} false positives`);
+}
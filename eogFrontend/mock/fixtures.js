@@ -0,0 +1,49 @@
+// Fixture dataset for the mock API.
+//
+// Anything recorded into mock/fixtures/*.json (see record.js) is served as-is; every endpoint without a
+// recording falls back to a deterministic scenario from components/shared/scenarioGenerator.js, so the
+// same seed always reproduces the same levels and tickets.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ANOMALY_PRESET, generateScenario } from '../components/shared/scenarioGenerator.js';
+
+export const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+// `anomalies: true` injects the generator's standard anomaly mix; unset options keep the generator defaults
+export const generateFixtures = ({ anomalies, ...options } = {}) => {
+  const defined = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  return generateScenario({ ...defined, anomalies: anomalies ? ANOMALY_PRESET : {} });
+};
+
+const FIXTURE_FILES = {
+  metadata: 'metadata.json',
+  cauldrons: 'cauldrons.json',
+  market: 'market.json',
+  network: 'network.json',
+  couriers: 'couriers.json',
+  tickets: 'tickets.json',
+  levels: 'data.json'
+};
+
+export const fixturePath = (name) => path.join(FIXTURE_DIR, FIXTURE_FILES[name]);
+
+// Generated fixtures with any recorded files laid over them; `sources` says where each one came from.
+// Ground-truth labels only describe the generated data, so they are dropped once levels or tickets are recorded.
+export const loadFixtures = (options = {}) => {
+  const fixtures = generateFixtures(options);
+  const sources = {};
+  Object.keys(FIXTURE_FILES).forEach(name => {
+    const file = fixturePath(name);
+    if (fs.existsSync(file)) {
+      fixtures[name] = JSON.parse(fs.readFileSync(file, 'utf8'));
+      sources[name] = 'recorded';
+    } else {
+      sources[name] = 'generated';
+    }
+  });
+  if (sources.levels === 'recorded' || sources.tickets === 'recorded') fixtures.labels = null;
+  fixtures.levels.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  return { fixtures, sources };
+};
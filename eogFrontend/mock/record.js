@@ -0,0 +1,51 @@
+// Records the live API into mock/fixtures/*.json so the mock server can replay it offline.
+//
+//   npm run record-fixtures                         # everything in the dataset's metadata range
+//   npm run record-fixtures -- 1761782400 1761868799  # only this range of level data
+
+import fs from 'node:fs';
+import { FIXTURE_DIR, fixturePath } from './fixtures.js';
+
+const API = process.env.EOG_API_URL || 'https://hackutd2025.eog.systems/api';
+const DAY_SECONDS = 24 * 3600;
+
+const getJson = async (pathname) => {
+  const res = await fetch(`${API}${pathname}`);
+  if (!res.ok) throw new Error(`${pathname} returned ${res.status}`);
+  return res.json();
+};
+
+const save = (name, data) => {
+  fs.writeFileSync(fixturePath(name), JSON.stringify(data));
+  console.log(`Saved ${fixturePath(name)}`);
+};
+
+const main = async () => {
+  fs.mkdirSync(FIXTURE_DIR, { recursive: true });
+
+  const metadata = await getJson('/Data/metadata');
+  save('metadata', metadata);
+  save('cauldrons', await getJson('/Information/cauldrons'));
+  save('market', await getJson('/Information/market'));
+  save('network', await getJson('/Information/network'));
+  save('couriers', await getJson('/Information/couriers'));
+  save('tickets', await getJson('/Tickets'));
+
+  const [argStart, argEnd] = process.argv.slice(2).map(Number);
+  const start = argStart || Math.floor(Date.parse(metadata.start_date) / 1000);
+  const end = argEnd || Math.floor(Date.parse(metadata.end_date) / 1000);
+  // One day per request keeps each response a manageable size
+  const levels = [];
+  for (let dayStart = start; dayStart <= end; dayStart += DAY_SECONDS) {
+    const dayEnd = Math.min(end, dayStart + DAY_SECONDS - 1);
+    const entries = await getJson(`/Data?start_date=${dayStart}&end_date=${dayEnd}`);
+    console.log(`  ${new Date(dayStart * 1000).toISOString().slice(0, 10)}: ${entries.length} readings`);
+    levels.push(...entries);
+  }
+  save('levels', levels);
+};
+
+main().catch(err => {
+  console.error('Recording failed:', err.message);
+  process.exit(1);
+});
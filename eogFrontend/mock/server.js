@@ -0,0 +1,140 @@
+// Local stand-in for https://hackutd2025.eog.systems/api.
+//
+//   npm run mock        # serves http://localhost:5180/api
+//   npm run dev:mock    # Vite dev server with /api proxied to the mock
+//
+// MOCK_API_PORT, MOCK_SEED and MOCK_LATENCY_MS tune the server. MOCK_ANOMALIES=1 injects missing,
+// inflated and phantom tickets plus sensor flatlines; GET /api/_labels returns their ground truth.
+// MOCK_LIVE=1 keeps the dataset growing in real time (see stream.js) and serves /api/stream over SSE and
+// WebSocket; MOCK_STREAM_INTERVAL_MS sets how often a reading is added. Without it /api/stream is a 404,
+// so the dashboard falls back to polling.
+
+import http from 'node:http';
+import { loadFixtures } from './fixtures.js';
+import { createLiveFeed, streamEvents, streamWebSocket } from './stream.js';
+
+// Keep in sync with the mock proxy target in vite.config.js
+const port = Number(process.env.MOCK_API_PORT) || 5180;
+const latency = Number(process.env.MOCK_LATENCY_MS) || 0;
+const { fixtures, sources } = loadFixtures({
+  seed: Number(process.env.MOCK_SEED) || undefined,
+  anomalies: process.env.MOCK_ANOMALIES === '1'
+});
+
+const levelTimes = fixtures.levels.map(entry => Date.parse(entry.timestamp) / 1000);
+
+// New readings and tickets join the fixtures, so /Data, /Tickets and the metadata serve them too
+const liveFeed = process.env.MOCK_LIVE === '1'
+  ? createLiveFeed({ fixtures, intervalMs: Number(process.env.MOCK_STREAM_INTERVAL_MS) || 5000 })
+  : null;
+if (liveFeed) {
+  liveFeed.subscribe((topic, data) => {
+    if (topic === 'levels') {
+      data.forEach(entry => {
+        fixtures.levels.push(entry);
+        levelTimes.push(Date.parse(entry.timestamp) / 1000);
+      });
+      fixtures.metadata = { ...fixtures.metadata, end_date: data[data.length - 1].timestamp };
+    } else if (topic === 'tickets') {
+      fixtures.tickets.transport_tickets.push(...data);
+      console.log(`live: ${data.length} new ticket(s)`);
+    }
+  });
+}
+
+// The feed takes unix seconds; ISO strings are accepted too for convenience
+const parseTime = (value) => {
+  if (value === null || value === '') return null;
+  const numeric = Number(value);
+  if (Number.isFinite(numeric)) return numeric;
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed / 1000;
+};
+
+// First index whose time is >= `time`
+const lowerBound = (time) => {
+  let lo = 0;
+  let hi = levelTimes.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (levelTimes[mid] < time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+};
+
+const levelsBetween = (start, end) => {
+  const from = start === null ? 0 : lowerBound(start);
+  const to = end === null ? levelTimes.length : lowerBound(end + 1e-9);
+  return fixtures.levels.slice(from, to);
+};
+
+const ticketsBetween = (start, end) => {
+  if (start === null && end === null) return fixtures.tickets;
+  const startDay = start === null ? '' : new Date(start * 1000).toISOString().slice(0, 10);
+  const endDay = end === null ? '9999' : new Date(end * 1000).toISOString().slice(0, 10);
+  return {
+    ...fixtures.tickets,
+    transport_tickets: fixtures.tickets.transport_tickets.filter(t => {
+      const day = String(t.date).slice(0, 10);
+      return day >= startDay && day <= endDay;
+    })
+  };
+};
+
+const routes = {
+  '/Data': (query) => levelsBetween(parseTime(query.get('start_date')), parseTime(query.get('end_date'))),
+  '/Data/metadata': () => fixtures.metadata,
+  '/Tickets': (query) => ticketsBetween(parseTime(query.get('start_date')), parseTime(query.get('end_date'))),
+  '/Information/cauldrons': () => fixtures.cauldrons,
+  '/Information/network': () => fixtures.network,
+  '/Information/market': () => fixtures.market,
+  '/Information/couriers': () => fixtures.couriers,
+  '/_labels': () => fixtures.labels
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(JSON.stringify(body));
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const route = url.pathname.replace(/^\/api/, '').replace(/\/$/, '');
+  const handler = routes[route];
+
+  setTimeout(() => {
+    if (req.method === 'OPTIONS') return send(res, 204, null);
+    if (req.method !== 'GET') return send(res, 405, { error: `${req.method} not supported` });
+    if (route === '/stream') {
+      if (!liveFeed) return send(res, 404, { error: 'Live stream is off; start the mock with MOCK_LIVE=1' });
+      console.log(`${req.method} ${url.pathname} -> event stream`);
+      return streamEvents(req, res, liveFeed);
+    }
+    if (!handler) return send(res, 404, { error: `No mock for ${url.pathname}` });
+    if (route === '/_labels' && !fixtures.labels) return send(res, 404, { error: 'Recorded fixtures have no ground-truth labels' });
+    const body = handler(url.searchParams);
+    console.log(`${req.method} ${url.pathname}${url.search} -> ${Array.isArray(body) ? `${body.length} items` : 'ok'}`);
+    send(res, 200, body);
+  }, latency);
+});
+
+server.on('upgrade', (req, socket) => {
+  const route = new URL(req.url, `http://${req.headers.host}`).pathname.replace(/^\/api/, '').replace(/\/$/, '');
+  if (route !== '/stream' || !liveFeed) {
+    socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+    return;
+  }
+  console.log(`WebSocket ${req.url} -> event stream`);
+  streamWebSocket(req, socket, liveFeed);
+});
+
+server.listen(port, () => {
+  console.log(`Mock EOG API on http://localhost:${port}/api`);
+  Object.entries(sources).forEach(([name, source]) => console.log(`  ${name}: ${source}`));
+  console.log(`  ${fixtures.levels.length} level readings, ${fixtures.tickets.transport_tickets.length} tickets`);
+  if (liveFeed) console.log(`  live: streaming on http://localhost:${port}/api/stream`);
+});
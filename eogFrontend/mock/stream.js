@@ -0,0 +1,151 @@
+// Live stand-in for the streaming feed, used by server.js when MOCK_LIVE=1.
+//
+// The feed picks up where the fixture dataset ends and keeps simulating at wall-clock time: every
+// MOCK_STREAM_INTERVAL_MS it adds a reading stamped with the current time that advances each cauldron by
+// one feed interval of filling, so fills and drains play out faster than real time. A cauldron that
+// reaches 85% of its capacity is drained to 20% and a ticket is filed for the drained volume.
+// /api/stream pushes every new reading and ticket, as Server-Sent Events or as WebSocket text messages
+// of the form { topic, data }.
+
+import crypto from 'node:crypto';
+import { isoMinute } from '../components/shared/scenarioGenerator.js';
+
+const DRAIN_START = 0.85;
+const DRAIN_STOP = 0.2;
+const DRAIN_PER_READING = 12;
+// Fill rates are estimated over this many trailing readings
+const RATE_READINGS = 120;
+const KEEPALIVE_MS = 15 * 1000;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Median rise per reading over the end of the dataset; falling steps are drains and are skipped
+const fillRates = (levels, cauldronIds) => {
+  const recent = levels.slice(-RATE_READINGS);
+  return Object.fromEntries(cauldronIds.map(id => {
+    const rises = [];
+    for (let i = 1; i < recent.length; i++) {
+      const step = recent[i].cauldron_levels[id] - recent[i - 1].cauldron_levels[id];
+      if (step > 0) rises.push(step);
+    }
+    rises.sort((a, b) => a - b);
+    return [id, rises.length ? rises[Math.floor(rises.length / 2)] : 0.3];
+  }));
+};
+
+// Starts simulating at once; `subscribe(listener)` gets (topic, data) for every reading and ticket
+export const createLiveFeed = ({ fixtures, intervalMs }) => {
+  const listeners = new Set();
+  const last = fixtures.levels[fixtures.levels.length - 1];
+  const levels = { ...(last?.cauldron_levels || {}) };
+  const capacity = Object.fromEntries(fixtures.cauldrons.map(c => [c.id, c.max_volume]));
+  const rates = fillRates(fixtures.levels, Object.keys(levels));
+  // Litres drained so far, per cauldron currently being emptied
+  const draining = {};
+  let ticketCount = 0;
+
+  const publish = (topic, data) => listeners.forEach(listener => listener(topic, data));
+
+  const tick = () => {
+    const timestamp = isoMinute(Math.floor(Date.now() / 1000));
+    const tickets = [];
+    Object.keys(levels).forEach(id => {
+      const max = capacity[id] || Infinity;
+      let level = levels[id] + rates[id];
+      if (draining[id] === undefined && level >= max * DRAIN_START) draining[id] = 0;
+      if (draining[id] !== undefined) {
+        level -= DRAIN_PER_READING;
+        draining[id] += DRAIN_PER_READING;
+        if (level <= max * DRAIN_STOP) {
+          ticketCount += 1;
+          const courier = fixtures.couriers[ticketCount % fixtures.couriers.length];
+          tickets.push({
+            ticket_id: `TT_LIVE_${String(ticketCount).padStart(4, '0')}`,
+            cauldron_id: id,
+            amount_collected: round(draining[id]),
+            courier_id: courier?.courier_id,
+            date: timestamp.slice(0, 10)
+          });
+          delete draining[id];
+        }
+      }
+      levels[id] = round(Math.min(max, level));
+    });
+    publish('levels', [{ timestamp, cauldron_levels: { ...levels } }]);
+    if (tickets.length) publish('tickets', tickets);
+  };
+
+  const interval = setInterval(tick, intervalMs);
+
+  return {
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    stop: () => clearInterval(interval)
+  };
+};
+
+// GET /api/stream as text/event-stream, one event per topic
+export const streamEvents = (req, res, feed) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.write(': connected\n\n');
+  const unsubscribe = feed.subscribe((topic, data) => res.write(`event: ${topic}\ndata: ${JSON.stringify(data)}\n\n`));
+  const keepalive = setInterval(() => res.write(': ping\n\n'), KEEPALIVE_MS);
+  req.on('close', () => {
+    unsubscribe();
+    clearInterval(keepalive);
+  });
+};
+
+// Unmasked server-to-client frame (FIN set) for `opcode`
+const frame = (opcode, payload = Buffer.alloc(0)) => {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.from([0x80 | opcode, 126, payload.length >> 8, payload.length & 0xff]);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+// The same stream over a bare-bones WebSocket: the server only sends, and a client close frame is echoed
+// before hanging up. Wire it to the HTTP server's 'upgrade' event.
+export const streamWebSocket = (req, socket, feed) => {
+  const key = req.headers['sec-websocket-key'];
+  if (!key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  const unsubscribe = feed.subscribe((topic, data) => socket.write(frame(0x1, Buffer.from(JSON.stringify({ topic, data })))));
+  const keepalive = setInterval(() => socket.write(frame(0x9)), KEEPALIVE_MS);
+  const cleanup = () => {
+    unsubscribe();
+    clearInterval(keepalive);
+  };
+  socket.on('data', (chunk) => {
+    if ((chunk[0] & 0x0f) === 0x8) {
+      socket.end(frame(0x8));
+      cleanup();
+    }
+  });
+  socket.on('close', cleanup);
+  socket.on('error', cleanup);
+};
@@ -1,19 +1,65 @@
+import { Suspense, lazy } from 'react'
 import './App.css'
-import PotionNetworkMap from '../components/Output2/CauldronWatch'
-import CauldronWatch from '../components/Output1/PotionNetworkMap'
-import DiscrepanciesViewer from '../components/Output3/DiscrepanciesViewer'
-import CourierRouteOptimizer from '../components/outputBonus/courierRouteOptimizer'
+import DataProvider from '../components/shared/DataProvider'
+import Link from '../components/shared/Link'
+import TimeBar from '../components/shared/TimeBar'
+import { matchRoute, useLocation } from '../components/shared/router'
 
+// Each view is its own chunk and only mounted (and fetching) while its route is active
+const PotionNetworkMap = lazy(() => import('../components/Output1/PotionNetworkMap'))
+const CauldronWatch = lazy(() => import('../components/Output2/CauldronWatch'))
+const DiscrepanciesViewer = lazy(() => import('../components/Output3/DiscrepanciesViewer'))
+const CourierRouteOptimizer = lazy(() => import('../components/outputBonus/courierRouteOptimizer'))
+
+const ROUTES = [
+  { path: '/', nav: '/map', render: () => <PotionNetworkMap /> },
+  { path: '/map', label: '🗺️ Network Map', render: () => <PotionNetworkMap /> },
+  {
+    path: '/cauldrons/:id?',
+    nav: '/cauldrons',
+    label: '📈 Cauldron Watch',
+    render: (params) => <CauldronWatch cauldronId={params.id} />
+  },
+  {
+    path: '/discrepancies',
+    label: '🧙 Discrepancies',
+    render: (params, query) => <DiscrepanciesViewer from={query.get('from')} to={query.get('to')} />
+  },
+  {
+    path: '/routes',
+    label: '🚚 Route Optimizer',
+    render: (params, query) => <CourierRouteOptimizer at={query.get('at')} />
+  }
+]
 
 function App() {
+  const location = useLocation()
+  const match = matchRoute(ROUTES, location.pathname)
+  const activeNav = match && (match.route.nav || match.route.path)
 
   return (
-    <>
-      <CauldronWatch />
-      <PotionNetworkMap />
-      <DiscrepanciesViewer />
-      <CourierRouteOptimizer />
-    </>
+    <DataProvider>
+      <nav className="app-nav">
+        {ROUTES.filter((route) => route.label).map((route) => {
+          const to = route.nav || route.path
+          return (
+            <Link key={to} to={to} className={to === activeNav ? 'app-nav-link active' : 'app-nav-link'}>
+              {route.label}
+            </Link>
+          )
+        })}
+        <TimeBar />
+      </nav>
+      <Suspense fallback={<div className="app-loading">Loading view…</div>}>
+        {match ? (
+          match.route.render(match.params, location.query)
+        ) : (
+          <div className="app-not-found">
+            No view at <code>{location.pathname}</code>. <Link to="/map">Back to the map</Link>
+          </div>
+        )}
+      </Suspense>
+    </DataProvider>
   )
 }
 
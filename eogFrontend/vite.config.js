@@ -1,15 +1,24 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const LIVE_API = 'https://hackutd2025.eog.systems'
+// `vite --mode mock` (npm run dev:mock) talks to the local stand-in from mock/server.js
+const MOCK_API = `http://localhost:${process.env.MOCK_API_PORT || 5180}`
+
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
-  server: {
-    proxy: {
-      '/api': {
-        target: 'https://hackutd2025.eog.systems',
-        changeOrigin: true,
-        secure: true
+export default defineConfig(({ mode }) => {
+  const target = process.env.API_PROXY_TARGET || (mode === 'mock' ? MOCK_API : LIVE_API)
+  return {
+    plugins: [react()],
+    server: {
+      proxy: {
+        '/api': {
+          target,
+          changeOrigin: true,
+          // Upgrades for the live stream's WebSocket transport
+          ws: true,
+          secure: target.startsWith('https:')
+        }
       }
     }
   }